@@ -5,6 +5,8 @@
 SCRIPT_DIR="/home/kashish-webcue/Programming/WebCue/WebCue Ads Library/opensearch-diff-sync"
 SERVICE_NAME="document-count-monitor"
 SERVICE_FILE="$SCRIPT_DIR/document-count-monitor.service"
+# Sent with every API call; changing auto-sync settings needs an operator key
+AUTH_HEADER="Authorization: Bearer ${API_KEY}"
 
 case "$1" in
     start)
@@ -17,7 +19,7 @@ case "$1" in
         
         echo "✅ Document Count Monitor started (PID: $(cat logs/count-monitor.pid))"
         echo "📝 Logs: logs/count-monitor.log"
-        echo "📊 Monitor will check document counts every 5 hours"
+        echo "📊 Monitor will check document counts every COUNT_MONITOR_INTERVAL_MS (default 5 hours)"
         ;;
         
     stop)
@@ -94,22 +96,23 @@ case "$1" in
         echo "⚙️ Auto-sync Configuration:"
         echo ""
         echo "Current settings:"
-        curl -s http://localhost:3000/api/count-monitor/auto-sync/config 2>/dev/null | jq . || echo "Service not running or jq not installed"
+        curl -s -H "$AUTH_HEADER" http://localhost:3000/api/count-monitor/auto-sync/config 2>/dev/null | jq . || echo "Service not running or jq not installed"
         echo ""
         echo "Usage:"
         echo "  Enable auto-sync:"
-        echo "    curl -X POST http://localhost:3000/api/count-monitor/auto-sync/enable -H 'Content-Type: application/json' -d '{\"enabled\": true}'"
+        echo "    curl -X POST http://localhost:3000/api/count-monitor/auto-sync/enable -H 'Authorization: Bearer \$API_KEY' -H 'Content-Type: application/json' -d '{\"enabled\": true}'"
         echo ""
         echo "  Disable auto-sync:"
-        echo "    curl -X POST http://localhost:3000/api/count-monitor/auto-sync/enable -H 'Content-Type: application/json' -d '{\"enabled\": false}'"
+        echo "    curl -X POST http://localhost:3000/api/count-monitor/auto-sync/enable -H 'Authorization: Bearer \$API_KEY' -H 'Content-Type: application/json' -d '{\"enabled\": false}'"
         echo ""
         echo "  Set threshold (e.g., 1000 documents):"
-        echo "    curl -X POST http://localhost:3000/api/count-monitor/auto-sync/threshold -H 'Content-Type: application/json' -d '{\"threshold\": 1000}'"
+        echo "    curl -X POST http://localhost:3000/api/count-monitor/auto-sync/threshold -H 'Authorization: Bearer \$API_KEY' -H 'Content-Type: application/json' -d '{\"threshold\": 1000}'"
         ;;
         
     enable-auto-sync)
         echo "🔄 Enabling auto-sync..."
         curl -X POST http://localhost:3000/api/count-monitor/auto-sync/enable \
+          -H "$AUTH_HEADER" \
           -H "Content-Type: application/json" \
           -d '{"enabled": true}' 2>/dev/null | jq . || echo "Auto-sync enabled"
         ;;
@@ -117,6 +120,7 @@ case "$1" in
     disable-auto-sync)
         echo "🛑 Disabling auto-sync..."
         curl -X POST http://localhost:3000/api/count-monitor/auto-sync/enable \
+          -H "$AUTH_HEADER" \
           -H "Content-Type: application/json" \
           -d '{"enabled": false}' 2>/dev/null | jq . || echo "Auto-sync disabled"
         ;;
@@ -125,6 +129,7 @@ case "$1" in
         THRESHOLD=\${2:-1000}
         echo "📊 Setting auto-sync threshold to $THRESHOLD documents..."
         curl -X POST http://localhost:3000/api/count-monitor/auto-sync/threshold \
+          -H "$AUTH_HEADER" \
           -H "Content-Type: application/json" \
           -d "{\"threshold\": $THRESHOLD}" 2>/dev/null | jq . || echo "Threshold set to $THRESHOLD"
         ;;
@@ -185,7 +190,7 @@ case "$1" in
         echo "  install-systemd    - Install as systemd service"
         echo "  uninstall-systemd  - Remove systemd service"
         echo ""
-        echo "📊 The monitor checks MongoDB vs OpenSearch document counts every 5 hours"
+        echo "📊 The monitor checks MongoDB vs OpenSearch document counts every COUNT_MONITOR_INTERVAL_MS (default 5 hours)"
         echo "🔄 Auto-sync: Automatically triggers full sync when difference > threshold"
         echo "📝 Logs are written to: logs/count-monitor.log"
         ;;
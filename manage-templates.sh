@@ -0,0 +1,32 @@
+#!/bin/bash
+
+# Index Template Management Script
+# Usage: ./manage-templates.sh <status|apply> [--force]
+
+BASE_URL="${BASE_URL:-http://localhost:3000}"
+API="$BASE_URL/api/index/templates"
+# Operator key, required when the server has API authentication enabled
+AUTH_HEADER="Authorization: Bearer ${API_KEY}"
+
+case "$1" in
+    status)
+        echo "📊 Index Template Status:"
+        curl -s -H "$AUTH_HEADER" "$API" | jq .
+        ;;
+
+    apply)
+        FORCE=false
+        if [ "$2" = "--force" ]; then
+            FORCE=true
+        fi
+
+        echo "🔄 Applying index templates..."
+        curl -s -X POST "$API/apply" -H "$AUTH_HEADER" -H "Content-Type: application/json" \
+            -d "{\"force\": $FORCE}" | jq .
+        ;;
+
+    *)
+        echo "Usage: $0 <status|apply> [--force]"
+        exit 1
+        ;;
+esac
@@ -0,0 +1,59 @@
+#!/bin/bash
+
+# Index Version Migration Script
+# Usage: ./migrate-index.sh <start|status|verify|swap|rollback|finalize> [version] [definition-file]
+
+BASE_URL="${BASE_URL:-http://localhost:3000}"
+API="$BASE_URL/api/index/migration"
+# Operator key, required when the server has API authentication enabled
+AUTH_HEADER="Authorization: Bearer ${API_KEY}"
+
+case "$1" in
+    start)
+        if [ -z "$2" ]; then
+            echo "Usage: $0 start <version> [definition-file]"
+            exit 1
+        fi
+
+        BODY="{\"version\": \"$2\""
+        if [ -n "$3" ]; then
+            BODY="$BODY, \"definitionFile\": \"$3\""
+        fi
+        BODY="$BODY}"
+
+        echo "🚀 Starting migration to index version v$2..."
+        RESPONSE=$(curl -s -X POST "$API" -H "$AUTH_HEADER" -H "Content-Type: application/json" -d "$BODY")
+        echo "$RESPONSE" | jq .
+
+        JOB_ID=$(echo "$RESPONSE" | jq -r '.jobId')
+        if [ "$JOB_ID" = "null" ]; then
+            exit 1
+        fi
+
+        # Follow the backfill until the job finishes
+        STATUS="running"
+        while [ "$STATUS" = "running" ]; do
+            sleep 10
+            JOB=$(curl -s -H "$AUTH_HEADER" "$BASE_URL/api/jobs/$JOB_ID")
+            STATUS=$(echo "$JOB" | jq -r '.status')
+            echo "📈 $(echo "$JOB" | jq -c '{status, progress, eta}')"
+        done
+
+        echo "$JOB" | jq '.result'
+        ;;
+
+    status)
+        echo "📊 Index Migration Status:"
+        curl -s -H "$AUTH_HEADER" "$API" | jq .
+        ;;
+
+    verify|swap|rollback|finalize)
+        echo "🔄 Running $1..."
+        curl -s -X POST "$API/$1" -H "$AUTH_HEADER" -H "Content-Type: application/json" | jq .
+        ;;
+
+    *)
+        echo "Usage: $0 <start|status|verify|swap|rollback|finalize> [version] [definition-file]"
+        exit 1
+        ;;
+esac
@@ -0,0 +1,96 @@
+const Server = require('../server');
+const logger = require('../utils/logger');
+
+logger.silent = true;
+
+// Sends a request to the server's express app on an ephemeral port
+async function request(app, method, path, body) {
+  const listener = app.listen(0);
+  await new Promise(resolve => listener.once('listening', resolve));
+  try {
+    const response = await fetch(`http://127.0.0.1:${listener.address().port}${path}`, {
+      method,
+      headers: body ? { 'Content-Type': 'application/json' } : {},
+      body: body ? JSON.stringify(body) : undefined
+    });
+    return { status: response.status, body: await response.json() };
+  } finally {
+    await new Promise(resolve => listener.close(resolve));
+  }
+}
+
+describe('Server', () => {
+  let server;
+
+  beforeAll(() => {
+    server = new Server();
+  });
+
+  it('answers reconciliation requests with 503 until the service exists', async () => {
+    const response = await request(server.app, 'GET', '/api/reconciliation/status');
+
+    expect(response.status).toBe(503);
+  });
+
+  describe('once reconciliation is set up', () => {
+    const reconciliationService = {
+      getStats: jest.fn(() => ({ totalChecks: 0 })),
+      checkAndSync: jest.fn(async () => ({ success: true })),
+      getWindowHistory: jest.fn(() => [])
+    };
+
+    beforeAll(() => {
+      server.setupReconciliation(reconciliationService);
+    });
+
+    it('serves the reconciliation routes ahead of the 404 handler', async () => {
+      const response = await request(server.app, 'GET', '/api/reconciliation/status');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ success: true, stats: { totalChecks: 0 } });
+    });
+
+    it('submits a reconciliation check as a job', async () => {
+      const response = await request(server.app, 'POST', '/api/reconciliation/check', { scope: 'full' });
+
+      expect(response.status).toBe(202);
+      expect(server.jobManager.get(response.body.jobId)).toMatchObject({ type: 'reconciliation' });
+    });
+
+    it('passes the orphan cleanup options through to the check', async () => {
+      reconciliationService.checkAndSync.mockClear();
+
+      const response = await request(server.app, 'POST', '/api/reconciliation/check', {
+        deleteOrphans: true,
+        dryRun: true,
+        maxDeletes: 50
+      });
+      await new Promise(resolve => setImmediate(resolve));
+
+      expect(response.status).toBe(202);
+      expect(response.body.statusUrl).toBe(`/api/jobs/${response.body.jobId}`);
+      expect(reconciliationService.checkAndSync).toHaveBeenCalledWith(expect.objectContaining({
+        deleteOrphans: true,
+        dryRun: true,
+        maxDeletes: 50,
+        manual: true
+      }));
+    });
+
+    it('lists recent reconciliation windows', async () => {
+      reconciliationService.getWindowHistory.mockReturnValueOnce([{ drift: 2 }]);
+
+      const response = await request(server.app, 'GET', '/api/reconciliation/windows?driftOnly=true');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ success: true, count: 1, windows: [{ drift: 2 }] });
+      expect(reconciliationService.getWindowHistory).toHaveBeenCalledWith({ driftOnly: true });
+    });
+
+    it('still answers unknown paths with 404', async () => {
+      const response = await request(server.app, 'GET', '/api/reconciliation-typo');
+
+      expect(response.status).toBe(404);
+    });
+  });
+});
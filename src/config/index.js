@@ -1,4 +1,18 @@
 require('dotenv').config();
+const path = require('path');
+
+// Parses a JSON-valued variable, naming it when the value is malformed
+function jsonEnv(name) {
+  const value = process.env[name];
+  if (!value) {
+    return null;
+  }
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    throw new Error(`${name} is not valid JSON: ${error.message}`);
+  }
+}
 
 const config = {
   // MongoDB Configuration
@@ -15,6 +29,11 @@ const config = {
     password: process.env.OPENSEARCH_PASSWORD || process.env.ELASTICSEARCH_PASSWORD || 'admin',
     index: process.env.OPENSEARCH_INDEX || 'facebook-ads-hot',
     indexAlias: process.env.OPENSEARCH_INDEX_ALIAS || 'facebook-ads-read',
+    // Settings and mappings used when creating the write index
+    indexDefinitionFile: process.env.OPENSEARCH_INDEX_DEFINITION_FILE || path.join(__dirname, 'indices', 'facebook-ads.json'),
+    // Date field (start_date or scraped_at) that splits the index into monthly
+    // partitions such as facebook-ads-hot.2024-05; unset keeps a single index
+    partitionField: process.env.OPENSEARCH_PARTITION_FIELD || null,
     ssl: {
       rejectUnauthorized: false
     }
@@ -26,7 +45,72 @@ const config = {
     batchSizeBytes: parseInt(process.env.SYNC_BATCH_SIZE_BYTES) || 5242880, // 5MB
     concurrency: parseInt(process.env.SYNC_CONCURRENCY) || 2,
     intervalMs: parseInt(process.env.SYNC_INTERVAL_MS) || 1000,
-    enabled: process.env.SYNC_ENABLED === 'true' || true
+    // Change stream consumption pauses while the bulk queue is over either limit
+    maxQueueDepth: parseInt(process.env.SYNC_MAX_QUEUE_DEPTH) || 20000,
+    maxQueueBytes: parseInt(process.env.SYNC_MAX_QUEUE_BYTES) || 104857600, // 100MB
+    enabled: process.env.SYNC_ENABLED === 'true' || true,
+    // Change stream resume tokens are checkpointed here after every flushed batch
+    checkpointCollection: process.env.SYNC_CHECKPOINT_COLLECTION || 'sync_checkpoints',
+    resumeEnabled: process.env.SYNC_RESUME_ENABLED !== 'false',
+    // Date fields used to find documents changed while the resume token was lost
+    catchUpFields: (process.env.SYNC_CATCH_UP_FIELDS || 'scraped_at,url-filter-updated-at')
+      .split(',').map(field => field.trim()).filter(Boolean),
+    // Only documents matching this scope are synced (see src/services/syncScope.js),
+    // e.g. {"is_active":true,"page_is_deleted":{"ne":true}}
+    scope: jsonEnv('SYNC_SCOPE'),
+    // fullDocument option of the change stream: updateLookup, whenAvailable or
+    // required (post-images), or default to receive update events without the document
+    fullDocument: process.env.SYNC_FULL_DOCUMENT || 'updateLookup',
+    // Updates changing at most this many top-level fields are sent as partial
+    // updates (0 always sends the whole document)
+    partialUpdateMaxFields: process.env.SYNC_PARTIAL_UPDATE_MAX_FIELDS !== undefined
+      ? parseInt(process.env.SYNC_PARTIAL_UPDATE_MAX_FIELDS) : 10
+  },
+
+  // Collection -> index pipelines (see src/config/pipelines.js); without a
+  // file a single pipeline is built from the settings above
+  pipelines: {
+    file: process.env.PIPELINES_FILE || null
+  },
+
+  // Field mapping used to build OpenSearch documents from MongoDB documents
+  transform: {
+    mappingFile: process.env.TRANSFORM_MAPPING_FILE || path.join(__dirname, 'mappings', 'facebook-ads.json')
+  },
+
+  // Dead-letter queue for documents OpenSearch keeps rejecting
+  deadLetter: {
+    collection: process.env.DEAD_LETTER_COLLECTION || 'sync_dead_letter',
+    maxAttempts: parseInt(process.env.DEAD_LETTER_MAX_ATTEMPTS) || 5
+  },
+
+  // Hot/warm tiering (see src/services/tierPolicy.js): ads that are inactive,
+  // ended more than endDateGraceDays ago or weren't scraped in maxScrapeAgeDays
+  // are kept in the warm index; the read alias spans both tiers
+  tiering: {
+    enabled: process.env.TIERING_ENABLED === 'true',
+    warmIndex: process.env.TIERING_WARM_INDEX || 'facebook-ads-warm',
+    // Created from the write index definition with this refresh interval
+    warmRefreshInterval: process.env.TIERING_WARM_REFRESH_INTERVAL || '30s',
+    requireActive: process.env.TIERING_HOT_REQUIRE_ACTIVE !== 'false',
+    endDateGraceDays: process.env.TIERING_HOT_END_DATE_GRACE_DAYS !== undefined
+      ? parseInt(process.env.TIERING_HOT_END_DATE_GRACE_DAYS) : 30,
+    maxScrapeAgeDays: process.env.TIERING_HOT_MAX_SCRAPE_AGE_DAYS !== undefined
+      ? parseInt(process.env.TIERING_HOT_MAX_SCRAPE_AGE_DAYS) : 90,
+    // Aged-out ads are moved from hot to warm on this schedule
+    demotionIntervalMs: parseInt(process.env.TIERING_DEMOTION_INTERVAL_MS) || 6 * 60 * 60 * 1000, // 6 hours
+    demotionBatchSize: parseInt(process.env.TIERING_DEMOTION_BATCH_SIZE) || 500
+  },
+
+  // Versioned index migrations
+  indexMigration: {
+    // Allowed MongoDB vs new index count difference when verifying a backfill
+    countTolerance: parseInt(process.env.INDEX_MIGRATION_COUNT_TOLERANCE) || 0
+  },
+
+  // Background jobs (full syncs, reconciliation runs)
+  jobs: {
+    historyLimit: parseInt(process.env.JOB_HISTORY_LIMIT) || 50
   },
 
   // Server Configuration
@@ -36,6 +120,18 @@ const config = {
     logLevel: process.env.LOG_LEVEL || 'info'
   },
 
+  // API authentication. AUTH_API_KEYS holds comma-separated name:role:key
+  // entries and AUTH_KEYS_FILE a JSON array of { name, role, key }; role is
+  // reader (GET requests) or operator (everything). Without AUTH_ENABLED,
+  // authentication is on once keys are configured.
+  auth: {
+    enabled: process.env.AUTH_ENABLED !== undefined ? process.env.AUTH_ENABLED === 'true' : null,
+    apiKeys: process.env.AUTH_API_KEYS || '',
+    keysFile: process.env.AUTH_KEYS_FILE || null,
+    // Reachable without a key, for load balancer and orchestrator probes
+    publicPaths: ['/', '/api/health/live', '/api/health/ready']
+  },
+
   // Health Check Configuration
   healthCheck: {
     intervalMs: parseInt(process.env.HEALTH_CHECK_INTERVAL_MS) || 30000
@@ -47,14 +143,46 @@ const config = {
     autoSyncEnabled: process.env.COUNT_MONITOR_AUTO_SYNC === 'true' || true,
     autoSyncThreshold: parseInt(process.env.COUNT_MONITOR_THRESHOLD) || 100,
     checkIntervalMs: parseInt(process.env.COUNT_MONITOR_INTERVAL_MS) || 5 * 60 * 60 * 1000, // 5 hours
-    startupDelayMs: parseInt(process.env.COUNT_MONITOR_STARTUP_DELAY_MS) || 5 * 60 * 1000 // 5 minutes
+    startupDelayMs: parseInt(process.env.COUNT_MONITOR_STARTUP_DELAY_MS) || 5 * 60 * 1000, // 5 minutes
+    // First auto-heal strategy: auto, recent-window, missing-ids or full-sync.
+    // A heal that leaves the gap open escalates to the next strategy.
+    healStrategy: process.env.COUNT_MONITOR_HEAL_STRATEGY || 'auto',
+    healVerifyDelayMs: parseInt(process.env.COUNT_MONITOR_HEAL_VERIFY_DELAY_MS) || 30000,
+    // Counts are also compared per bucket of these dimensions
+    // (countrySearchedfor, is_active, page_id, scrape_day)
+    dimensions: (process.env.COUNT_MONITOR_DIMENSIONS !== undefined
+      ? process.env.COUNT_MONITOR_DIMENSIONS
+      : 'countrySearchedfor,is_active')
+      .split(',').map(name => name.trim()).filter(Boolean),
+    // OpenSearch buckets fetched per composite aggregation request
+    bucketLimit: parseInt(process.env.COUNT_MONITOR_BUCKET_LIMIT) || 1000,
+    // Diverging buckets a targeted heal covers, largest difference first
+    healMaxBuckets: parseInt(process.env.COUNT_MONITOR_HEAL_MAX_BUCKETS) || 20
   },
 
   // Reconciliation Service Configuration
   reconciliation: {
     enabled: process.env.RECONCILIATION_ENABLED === 'true' || true,
     checkIntervalMs: parseInt(process.env.RECONCILIATION_INTERVAL_MS) || 30 * 60 * 1000, // 30 minutes
-    startupDelayMs: parseInt(process.env.RECONCILIATION_STARTUP_DELAY_MS) || 2 * 60 * 1000 // 2 minutes
+    startupDelayMs: parseInt(process.env.RECONCILIATION_STARTUP_DELAY_MS) || 2 * 60 * 1000, // 2 minutes
+    // 'count' compares document counts and fills in missing ids; 'content' also
+    // compares each document's source_hash and re-indexes stale ones
+    mode: process.env.RECONCILIATION_MODE || 'count',
+    contentChunkSize: parseInt(process.env.RECONCILIATION_CONTENT_CHUNK_SIZE) || 1000,
+    // Scheduled checks only reconcile documents changed in the last windowHours
+    // (0 disables windowing); the full comparison runs on the first check after
+    // fullCheckHour (local time) each day
+    windowHours: process.env.RECONCILIATION_WINDOW_HOURS !== undefined
+      ? parseInt(process.env.RECONCILIATION_WINDOW_HOURS) : 6,
+    fullCheckHour: process.env.RECONCILIATION_FULL_CHECK_HOUR !== undefined
+      ? parseInt(process.env.RECONCILIATION_FULL_CHECK_HOUR) : 3,
+    windowHistoryLimit: parseInt(process.env.RECONCILIATION_WINDOW_HISTORY_LIMIT) || 100,
+    // Removal of indexed documents whose MongoDB source no longer exists (opt-in)
+    orphanCleanup: {
+      enabled: process.env.RECONCILIATION_DELETE_ORPHANS === 'true',
+      dryRun: process.env.RECONCILIATION_ORPHAN_DRY_RUN === 'true',
+      maxDeletesPerRun: parseInt(process.env.RECONCILIATION_MAX_ORPHAN_DELETES) || 1000
+    }
   }
 };
 
@@ -0,0 +1,124 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('./index');
+
+// A pipeline syncs one MongoDB collection into one OpenSearch index. Without a
+// PIPELINES_FILE the single pipeline is built from the MONGODB_*, OPENSEARCH_*,
+// TRANSFORM_* and SYNC_* settings. The file holds an array of definitions
+// (see pipelines.example.json) of the form
+//   { name, enabled, mongodb: { uri, database, collection },
+//     opensearch: { index, indexAlias, indexDefinitionFile, partitionField }, mappingFile,
+//     routingFields, deadLetterCollection, scope, tiering: { warmIndex, ... },
+//     sync: { batchSize, ..., catchUpFields, fullDocument } }
+// and any setting a definition leaves out falls back to those same settings,
+// except that only the primary pipeline inherits SYNC_SCOPE and TIERING_*, and
+// the other pipelines' alias defaults to <name>-read.
+// The first pipeline is the primary one, served by /api/sync and checked by
+// reconciliation and the count monitor.
+const PIPELINE_NAME = /^[a-z0-9][a-z0-9_-]*$/;
+
+const DEFAULT_ROUTING_FIELDS = ['page_id', 'countrySearchedfor'];
+
+const TIERING_SETTINGS = ['warmIndex', 'warmRefreshInterval', 'requireActive', 'endDateGraceDays', 'maxScrapeAgeDays'];
+
+// null when the pipeline keeps every document in its one index
+function resolveTiering(definition, isPrimary) {
+  const overrides = definition.tiering !== undefined
+    ? definition.tiering
+    : (isPrimary && config.tiering.enabled ? {} : null);
+  if (!overrides) {
+    return null;
+  }
+
+  const tiering = {};
+  for (const setting of TIERING_SETTINGS) {
+    tiering[setting] = overrides[setting] !== undefined ? overrides[setting] : config.tiering[setting];
+  }
+  return tiering;
+}
+
+function defaultPipeline() {
+  return resolvePipeline({ name: 'default' });
+}
+
+function resolvePipeline(definition, isPrimary = true) {
+  if (!definition.name || !PIPELINE_NAME.test(definition.name)) {
+    throw new Error(`Invalid pipeline name "${definition.name}" (use lowercase letters, digits, - and _)`);
+  }
+
+  const mongodb = { ...config.mongodb, ...definition.mongodb };
+  const opensearch = {
+    index: config.opensearch.index,
+    // Another pipeline's index behind the primary read alias would mix documents
+    indexAlias: isPrimary ? config.opensearch.indexAlias : `${definition.name}-read`,
+    indexDefinitionFile: config.opensearch.indexDefinitionFile,
+    partitionField: config.opensearch.partitionField,
+    ...definition.opensearch
+  };
+
+  return {
+    name: definition.name,
+    enabled: definition.enabled !== false,
+    mongodb,
+    opensearch,
+    mappingFile: definition.mappingFile || config.transform.mappingFile,
+    routingFields: definition.routingFields || DEFAULT_ROUTING_FIELDS,
+    scope: definition.scope !== undefined ? definition.scope : (isPrimary ? config.sync.scope : null),
+    tiering: resolveTiering(definition, isPrimary),
+    // Secondary pipelines get their own dead-letter collection, since _ids
+    // from different collections can collide
+    deadLetterCollection: definition.deadLetterCollection ||
+      (isPrimary ? config.deadLetter.collection : `${config.deadLetter.collection}_${definition.name}`),
+    sync: {
+      batchSize: config.sync.batchSize,
+      batchSizeBytes: config.sync.batchSizeBytes,
+      concurrency: config.sync.concurrency,
+      intervalMs: config.sync.intervalMs,
+      maxQueueDepth: config.sync.maxQueueDepth,
+      maxQueueBytes: config.sync.maxQueueBytes,
+      catchUpFields: config.sync.catchUpFields,
+      fullDocument: config.sync.fullDocument,
+      partialUpdateMaxFields: config.sync.partialUpdateMaxFields,
+      ...definition.sync
+    }
+  };
+}
+
+function loadPipelines(file = config.pipelines.file) {
+  if (!file) {
+    return [defaultPipeline()];
+  }
+
+  const definitions = JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+  if (!Array.isArray(definitions) || definitions.length === 0) {
+    throw new Error(`${file} must contain a non-empty array of pipelines`);
+  }
+
+  const pipelines = definitions.map((definition, position) => resolvePipeline(definition, position === 0));
+
+  const seen = new Map();
+  for (const pipeline of pipelines) {
+    const source = `${pipeline.mongodb.database}.${pipeline.mongodb.collection}`;
+    const indexes = [pipeline.opensearch.index, ...(pipeline.tiering ? [pipeline.tiering.warmIndex] : [])];
+    const keys = [
+      `name ${pipeline.name}`,
+      `source ${source}`,
+      `alias ${pipeline.opensearch.indexAlias}`,
+      ...indexes.map(index => `index ${index}`)
+    ];
+    for (const key of keys) {
+      if (seen.has(key)) {
+        throw new Error(`Pipelines ${seen.get(key)} and ${pipeline.name} share the same ${key}`);
+      }
+      seen.set(key, pipeline.name);
+    }
+  }
+
+  return pipelines;
+}
+
+module.exports = {
+  defaultPipeline,
+  resolvePipeline,
+  loadPipelines
+};
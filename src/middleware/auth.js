@@ -0,0 +1,152 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+// Roles in increasing order of privilege
+const ROLES = ['reader', 'operator'];
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+// Request parameters the API reads; the audit log records only these
+const AUDITED_PARAMETERS = [
+  'autoSwap', 'batchSize', 'definitionFile', 'deleteOrphans', 'dryRun', 'enabled', 'errorType', 'force',
+  'intervalMs', 'limit', 'maxDeletes', 'mode', 'olderThan', 'resume', 'scope', 'skip', 'startAfterId',
+  'strategy', 'threshold', 'version', 'windowHours'
+];
+
+const digest = (key) => crypto.createHash('sha256').update(key).digest();
+
+function declaredParameters(values) {
+  return Object.fromEntries(Object.entries(values || {}).filter(([name]) => AUDITED_PARAMETERS.includes(name)));
+}
+
+// API key / bearer token authentication for the control API. Readers can call
+// GET endpoints (status, stats, metrics); everything that changes state needs
+// an operator key. Mutating calls are written to the audit log whether or not
+// they were allowed.
+class ApiAuth {
+  // enabled: true, false, or null to authenticate only once keys are configured
+  constructor(options = {}) {
+    const enabled = options.enabled !== undefined ? options.enabled : config.auth.enabled;
+    this.publicPaths = new Set(options.publicPaths || config.auth.publicPaths);
+    this.keys = ApiAuth.normalizeKeys(options.keys || ApiAuth.loadKeys(config.auth));
+    this.enabled = enabled === null ? this.keys.length > 0 : enabled;
+
+    // Every protected endpoint, /metrics included, would answer 401
+    if (this.enabled && this.keys.length === 0) {
+      throw new Error('API authentication is enabled but no API keys are configured (set AUTH_API_KEYS or AUTH_KEYS_FILE)');
+    }
+
+    if (!this.enabled) {
+      logger.warn('⚠️ API authentication is disabled; anyone who can reach the server can control the sync');
+    } else {
+      logger.info(`🔐 API authentication enabled with ${this.keys.length} key(s)`);
+    }
+  }
+
+  // Reads "name:role:key" entries from AUTH_API_KEYS and the AUTH_KEYS_FILE array
+  static loadKeys({ apiKeys, keysFile }) {
+    const keys = (apiKeys || '').split(',').map(entry => entry.trim()).filter(Boolean).map(entry => {
+      const [name, role, ...key] = entry.split(':');
+      return { name, role, key: key.join(':') };
+    });
+
+    if (keysFile) {
+      try {
+        keys.push(...JSON.parse(fs.readFileSync(keysFile, 'utf8')));
+      } catch (error) {
+        logger.error(`Failed to load API keys from ${keysFile}:`, error);
+        throw error;
+      }
+    }
+
+    return keys;
+  }
+
+  // Only a digest of each key is kept in memory
+  static normalizeKeys(keys) {
+    return keys.map(({ name, role, key }) => {
+      if (!name || !key) {
+        throw new Error('Every API key needs a name and a key');
+      }
+      if (!ROLES.includes(role)) {
+        throw new Error(`Unknown role "${role}" for API key ${name} (use ${ROLES.join(' or ')})`);
+      }
+      return { name, role, digest: digest(key) };
+    });
+  }
+
+  // Accepts "Authorization: Bearer <key>" or "X-API-Key: <key>"
+  identify(req) {
+    const authorization = req.get('Authorization') || '';
+    const token = req.get('X-API-Key') ||
+      (authorization.startsWith('Bearer ') ? authorization.slice('Bearer '.length).trim() : null);
+    if (!token) {
+      return null;
+    }
+
+    const candidate = digest(token);
+    const match = this.keys.find(key => crypto.timingSafeEqual(key.digest, candidate));
+    return match ? { name: match.name, role: match.role } : null;
+  }
+
+  requiredRole(req) {
+    return READ_METHODS.includes(req.method) ? 'reader' : 'operator';
+  }
+
+  authenticate() {
+    return (req, res, next) => {
+      if (!this.enabled || this.publicPaths.has(req.path)) {
+        return next();
+      }
+
+      const principal = this.identify(req);
+      if (!principal) {
+        res.set('WWW-Authenticate', 'Bearer');
+        return res.status(401).json({
+          success: false,
+          error: 'A valid API key is required'
+        });
+      }
+
+      req.principal = principal;
+      const requiredRole = this.requiredRole(req);
+      if (ROLES.indexOf(principal.role) < ROLES.indexOf(requiredRole)) {
+        return res.status(403).json({
+          success: false,
+          error: `${req.method} ${req.path} requires the ${requiredRole} role`
+        });
+      }
+
+      next();
+    };
+  }
+
+  // Logs each mutating call with its caller, parameters and outcome
+  audit() {
+    return (req, res, next) => {
+      if (READ_METHODS.includes(req.method)) {
+        return next();
+      }
+
+      // Routers rewrite req.path while handling the request
+      const path = req.path;
+      res.on('finish', () => {
+        logger.info(`📝 Audit: ${req.method} ${path} -> ${res.statusCode}`, {
+          audit: true,
+          actor: req.principal ? req.principal.name : 'anonymous',
+          role: req.principal ? req.principal.role : null,
+          ip: req.ip,
+          method: req.method,
+          path,
+          query: declaredParameters(req.query),
+          body: declaredParameters(req.body),
+          statusCode: res.statusCode
+        });
+      });
+
+      next();
+    };
+  }
+}
+
+module.exports = ApiAuth;
@@ -0,0 +1,80 @@
+const MetricsRoutes = require('../metrics');
+const metrics = require('../../utils/metrics');
+
+// A SyncService stub with the stats the collector reads
+function syncService(name, overrides = {}) {
+  return {
+    pipeline: { name },
+    getStats: jest.fn(async () => ({
+      documentsProcessed: 10,
+      documentsSkipped: 1,
+      errors: 0,
+      isRunning: true,
+      tiering: null,
+      changeStream: { lagSeconds: null },
+      ...overrides,
+      bulkProcessor: {
+        processed: 9,
+        errors: 0,
+        versionConflicts: 0,
+        coalesced: 2,
+        deadLettered: 0,
+        pauses: 0,
+        queueSize: 3,
+        queueBytes: 2048,
+        inFlightBatches: 1,
+        paused: false,
+        ...overrides.bulkProcessor
+      }
+    }))
+  };
+}
+
+describe('MetricsRoutes', () => {
+  const pipelines = [
+    syncService('ads', { changeStream: { lagSeconds: 4 } }),
+    syncService('pages', { isRunning: false, tiering: { documentsDemoted: 5 }, bulkProcessor: { paused: true } })
+  ];
+  const documentCountMonitor = {
+    getStats: jest.fn(() => ({
+      checksPerformed: 3,
+      mismatchesDetected: 1,
+      lastCounts: { mongodb: 100, opensearch: 98, bucketGap: 2 }
+    }))
+  };
+  const reconciliationService = {
+    getStats: jest.fn(() => ({ documentsSynced: 6, orphansDeleted: 2 }))
+  };
+  let body;
+
+  beforeAll(async () => {
+    const routes = new MetricsRoutes({ list: () => pipelines }, documentCountMonitor);
+    routes.reconciliationService = reconciliationService;
+    body = await metrics.render();
+  });
+
+  it('labels sync metrics with their pipeline', () => {
+    expect(body).toContain('opensearch_sync_documents_processed_total{pipeline="ads"} 10\n');
+    expect(body).toContain('opensearch_sync_documents_processed_total{pipeline="pages"} 10\n');
+    expect(body).toContain('opensearch_sync_queue_bytes{pipeline="ads"} 2048\n');
+    expect(body).toContain('opensearch_sync_running{pipeline="ads"} 1\n');
+    expect(body).toContain('opensearch_sync_running{pipeline="pages"} 0\n');
+    expect(body).toContain('opensearch_sync_change_stream_paused{pipeline="pages"} 1\n');
+  });
+
+  it('only reports lag and demotions for pipelines that have them', () => {
+    expect(body).toContain('opensearch_sync_change_stream_lag_seconds{pipeline="ads"} 4\n');
+    expect(body).not.toContain('opensearch_sync_change_stream_lag_seconds{pipeline="pages"}');
+    expect(body).toContain('opensearch_sync_tier_demotions_total{pipeline="pages"} 5\n');
+    expect(body).not.toContain('opensearch_sync_tier_demotions_total{pipeline="ads"}');
+  });
+
+  it('reports the count monitor and reconciliation totals', () => {
+    expect(body).toContain('opensearch_sync_count_checks_total 3\n');
+    expect(body).toContain('opensearch_sync_documents{source="mongodb"} 100\n');
+    expect(body).toContain('opensearch_sync_documents{source="opensearch"} 98\n');
+    expect(body).toContain('opensearch_sync_count_bucket_gap 2\n');
+    expect(body).toContain('opensearch_sync_reconciliation_documents_synced_total 6\n');
+    expect(body).toContain('opensearch_sync_reconciliation_orphans_deleted_total 2\n');
+  });
+});
@@ -112,6 +112,30 @@ class CountMonitorRoutes {
       }
     });
 
+    router.post('/auto-sync/strategy', async (req, res) => {
+      try {
+        const { strategy } = req.body;
+        try {
+          this.documentCountMonitor.setHealStrategy(strategy);
+        } catch (error) {
+          return res.status(400).json({
+            success: false,
+            error: error.message
+          });
+        }
+        res.json({
+          success: true,
+          message: `Auto-heal strategy set to ${strategy}`,
+          config: this.documentCountMonitor.getAutoSyncConfig()
+        });
+      } catch (error) {
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
     router.post('/auto-sync/threshold', async (req, res) => {
       try {
         const { threshold } = req.body;
@@ -0,0 +1,135 @@
+const express = require('express');
+const router = express.Router();
+
+class IndexMigrationRoutes {
+  constructor(indexMigrationService, jobManager) {
+    this.indexMigrationService = indexMigrationService;
+    this.jobManager = jobManager;
+    this.setupRoutes();
+  }
+
+  setupRoutes() {
+    // Get write index, alias and migration status
+    router.get('/', async (req, res) => {
+      try {
+        res.json(this.indexMigrationService.getStatus());
+      } catch (error) {
+        res.status(500).json({
+          error: error.message
+        });
+      }
+    });
+
+    // Start (or resume) a migration to a new index version as a background job
+    router.post('/', async (req, res) => {
+      try {
+        const { version, definitionFile, autoSwap, batchSize } = req.body || {};
+        if (!version) {
+          return res.status(400).json({
+            success: false,
+            error: 'version is required'
+          });
+        }
+
+        const job = this.jobManager.submit('index-migration', ({ signal, reportProgress }) =>
+          this.indexMigrationService.migrate({
+            version,
+            definitionFile,
+            autoSwap: autoSwap !== false,
+            batchSize,
+            signal,
+            onProgress: reportProgress
+          }),
+        { params: { version, definitionFile, autoSwap, batchSize } });
+
+        res.status(202).json({
+          success: true,
+          jobId: job.id,
+          status: job.status,
+          statusUrl: `/api/jobs/${job.id}`
+        });
+      } catch (error) {
+        res.status(error.statusCode || 500).json({
+          success: false,
+          error: error.message,
+          activeJobId: error.activeJobId
+        });
+      }
+    });
+
+    // Re-run the count verification
+    router.post('/verify', async (req, res) => {
+      try {
+        const verification = await this.indexMigrationService.verify();
+        res.json({
+          success: verification.passed,
+          verification
+        });
+      } catch (error) {
+        res.status(400).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    // Swap the read alias to the new index
+    router.post('/swap', async (req, res) => {
+      try {
+        const status = await this.indexMigrationService.swap({ force: Boolean(req.body && req.body.force) });
+        res.json({
+          success: true,
+          status
+        });
+      } catch (error) {
+        res.status(400).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    // Roll back to the previous index, cancelling a running backfill first
+    router.post('/rollback', async (req, res) => {
+      try {
+        const activeJob = this.jobManager.getActiveJob('index-migration');
+        if (activeJob) {
+          this.jobManager.cancel(activeJob.id);
+        }
+
+        const status = await this.indexMigrationService.rollback();
+        res.json({
+          success: true,
+          status
+        });
+      } catch (error) {
+        res.status(400).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    // Stop dual-writing to the old index
+    router.post('/finalize', async (req, res) => {
+      try {
+        const status = await this.indexMigrationService.finalize();
+        res.json({
+          success: true,
+          status
+        });
+      } catch (error) {
+        res.status(400).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+  }
+
+  getRouter() {
+    return router;
+  }
+}
+
+module.exports = IndexMigrationRoutes;
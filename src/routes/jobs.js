@@ -0,0 +1,73 @@
+const express = require('express');
+const router = express.Router();
+
+class JobRoutes {
+  constructor(jobManager) {
+    this.jobManager = jobManager;
+    this.setupRoutes();
+  }
+
+  setupRoutes() {
+    // List jobs, newest first
+    router.get('/', async (req, res) => {
+      try {
+        const jobs = this.jobManager.list({
+          type: req.query.type,
+          status: req.query.status
+        });
+        res.json({
+          jobs
+        });
+      } catch (error) {
+        res.status(500).json({
+          error: error.message
+        });
+      }
+    });
+
+    // Get job status and progress
+    router.get('/:id', async (req, res) => {
+      try {
+        const job = this.jobManager.get(req.params.id);
+        if (!job) {
+          return res.status(404).json({
+            error: 'Job not found'
+          });
+        }
+        res.json(job);
+      } catch (error) {
+        res.status(500).json({
+          error: error.message
+        });
+      }
+    });
+
+    // Request cancellation of a running job
+    router.post('/:id/cancel', async (req, res) => {
+      try {
+        const job = this.jobManager.cancel(req.params.id);
+        if (!job) {
+          return res.status(404).json({
+            success: false,
+            error: 'Job not found'
+          });
+        }
+        res.json({
+          success: true,
+          job
+        });
+      } catch (error) {
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+  }
+
+  getRouter() {
+    return router;
+  }
+}
+
+module.exports = JobRoutes;
@@ -0,0 +1,108 @@
+const express = require('express');
+const metrics = require('../utils/metrics');
+const router = express.Router();
+
+// Totals and levels the services already track, copied into the registry at
+// scrape time. Bulk request histograms are recorded by the bulk processor.
+const documentsProcessed = metrics.counter('opensearch_sync_documents_processed_total', 'Change events applied to OpenSearch');
+const documentsSkipped = metrics.counter('opensearch_sync_documents_skipped_total', 'Change events skipped');
+const syncErrors = metrics.counter('opensearch_sync_errors_total', 'Errors while consuming the change stream');
+const bulkDocuments = metrics.counter('opensearch_sync_bulk_documents_total', 'Documents written through the bulk processor');
+const bulkErrors = metrics.counter('opensearch_sync_bulk_errors_total', 'Documents in bulk batches that failed and were re-queued');
+const versionConflicts = metrics.counter('opensearch_sync_version_conflicts_total', 'Bulk items rejected with a version conflict');
+const coalesced = metrics.counter('opensearch_sync_coalesced_total', 'Queued changes replaced by a later change to the same document');
+const deadLettered = metrics.counter('opensearch_sync_dead_lettered_total', 'Documents moved to the dead letter queue');
+const pauses = metrics.counter('opensearch_sync_backpressure_pauses_total', 'Times the change stream paused for queue capacity');
+const reconciliationSynced = metrics.counter('opensearch_sync_reconciliation_documents_synced_total', 'Documents re-synced by reconciliation');
+const orphansDeleted = metrics.counter('opensearch_sync_reconciliation_orphans_deleted_total', 'Orphaned documents deleted by reconciliation');
+const tierDemotions = metrics.counter('opensearch_sync_tier_demotions_total', 'Documents moved from the hot to the warm tier by demotion runs');
+const countChecks = metrics.counter('opensearch_sync_count_checks_total', 'Count monitor checks performed');
+const countMismatches = metrics.counter('opensearch_sync_count_mismatches_total', 'Count monitor checks that found a mismatch');
+
+const running = metrics.gauge('opensearch_sync_running', 'Whether the change stream sync is running');
+const queueDepth = metrics.gauge('opensearch_sync_queue_depth', 'Changes queued for the next bulk request');
+const queueBytes = metrics.gauge('opensearch_sync_queue_bytes', 'Estimated size of the queued changes');
+const inFlightBatches = metrics.gauge('opensearch_sync_in_flight_batches', 'Bulk requests currently in flight');
+const paused = metrics.gauge('opensearch_sync_change_stream_paused', 'Whether the change stream is paused by backpressure');
+const lag = metrics.gauge('opensearch_sync_change_stream_lag_seconds', 'Age of the last change stream event processed');
+const documentCount = metrics.gauge('opensearch_sync_documents', 'Document count at the last count monitor check');
+const bucketGap = metrics.gauge('opensearch_sync_count_bucket_gap', 'Largest per-bucket count difference at the last check');
+
+class MetricsRoutes {
+  constructor(pipelineManager, documentCountMonitor, reconciliationService = null) {
+    this.pipelineManager = pipelineManager;
+    this.documentCountMonitor = documentCountMonitor;
+    this.reconciliationService = reconciliationService;
+    metrics.addCollector(() => this.collect());
+    this.setupRoutes();
+  }
+
+  async collect() {
+    // Sync metrics are labelled with their pipeline
+    for (const syncService of this.pipelineManager.list()) {
+      const labels = { pipeline: syncService.pipeline.name };
+      const stats = await syncService.getStats();
+      const bulk = stats.bulkProcessor;
+
+      documentsProcessed.set(stats.documentsProcessed, labels);
+      documentsSkipped.set(stats.documentsSkipped, labels);
+      syncErrors.set(stats.errors, labels);
+      bulkDocuments.set(bulk.processed, labels);
+      bulkErrors.set(bulk.errors, labels);
+      versionConflicts.set(bulk.versionConflicts, labels);
+      coalesced.set(bulk.coalesced, labels);
+      deadLettered.set(bulk.deadLettered, labels);
+      pauses.set(bulk.pauses, labels);
+
+      running.set(stats.isRunning ? 1 : 0, labels);
+      queueDepth.set(bulk.queueSize, labels);
+      queueBytes.set(bulk.queueBytes, labels);
+      inFlightBatches.set(bulk.inFlightBatches, labels);
+      paused.set(bulk.paused ? 1 : 0, labels);
+      if (stats.tiering) {
+        tierDemotions.set(stats.tiering.documentsDemoted, labels);
+      }
+      if (stats.changeStream.lagSeconds !== null) {
+        lag.set(stats.changeStream.lagSeconds, labels);
+      }
+    }
+
+    // The count monitor and reconciliation check the primary pipeline
+    const monitor = this.documentCountMonitor.getStats();
+    countChecks.set(monitor.checksPerformed);
+    countMismatches.set(monitor.mismatchesDetected);
+    if (monitor.lastCounts) {
+      documentCount.set(monitor.lastCounts.mongodb, { source: 'mongodb' });
+      documentCount.set(monitor.lastCounts.opensearch, { source: 'opensearch' });
+      bucketGap.set(monitor.lastCounts.bucketGap);
+    }
+
+    if (this.reconciliationService) {
+      const reconciliation = this.reconciliationService.getStats();
+      reconciliationSynced.set(reconciliation.documentsSynced);
+      orphansDeleted.set(reconciliation.orphansDeleted);
+    }
+  }
+
+  setupRoutes() {
+    // Prometheus scrape endpoint
+    router.get('/', async (req, res) => {
+      try {
+        const body = await metrics.render();
+        res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+        res.send(body);
+      } catch (error) {
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+  }
+
+  getRouter() {
+    return router;
+  }
+}
+
+module.exports = MetricsRoutes;
@@ -0,0 +1,91 @@
+const express = require('express');
+const router = express.Router();
+
+class PipelineRoutes {
+  constructor(pipelineManager) {
+    this.pipelineManager = pipelineManager;
+    this.setupRoutes();
+  }
+
+  setupRoutes() {
+    // Unknown pipeline names get a 404 before reaching a handler
+    router.param('name', (req, res, next, name) => {
+      if (!this.pipelineManager.has(name)) {
+        return res.status(404).json({
+          success: false,
+          error: `Unknown pipeline "${name}"`
+        });
+      }
+      req.syncService = this.pipelineManager.get(name);
+      next();
+    });
+
+    // List pipelines
+    router.get('/', (req, res) => {
+      res.json({
+        pipelines: this.pipelineManager.list().map(syncService => this.pipelineManager.describe(syncService))
+      });
+    });
+
+    // Pipeline status and stats
+    router.get('/:name', async (req, res) => {
+      try {
+        res.json(await this.pipelineManager.getStatus(req.params.name));
+      } catch (error) {
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    router.get('/:name/stats', async (req, res) => {
+      try {
+        res.json(await req.syncService.getStats());
+      } catch (error) {
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    // Start a pipeline's change stream
+    router.post('/:name/start', async (req, res) => {
+      try {
+        await req.syncService.start();
+        res.json({
+          success: true,
+          message: `Pipeline ${req.params.name} started successfully`
+        });
+      } catch (error) {
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    // Stop a pipeline's change stream and flush its queue
+    router.post('/:name/stop', async (req, res) => {
+      try {
+        await req.syncService.stop();
+        res.json({
+          success: true,
+          message: `Pipeline ${req.params.name} stopped successfully`
+        });
+      } catch (error) {
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+  }
+
+  getRouter() {
+    return router;
+  }
+}
+
+module.exports = PipelineRoutes;
@@ -1,9 +1,11 @@
 const express = require('express');
+const config = require('../config');
 const router = express.Router();
 
 class ReconciliationRoutes {
-  constructor(reconciliationService) {
+  constructor(reconciliationService, jobManager) {
     this.reconciliationService = reconciliationService;
+    this.jobManager = jobManager;
     this.setupRoutes();
   }
 
@@ -59,11 +61,18 @@ class ReconciliationRoutes {
       }
     });
 
-    // Trigger manual reconciliation check
-    router.post('/check', async (req, res) => {
+    // Outcome of recent windowed checks, newest first
+    router.get('/windows', async (req, res) => {
       try {
-        const result = await this.reconciliationService.checkAndSync();
-        res.json(result);
+        const windows = this.reconciliationService.getWindowHistory({
+          driftOnly: req.query.driftOnly === 'true'
+        });
+        res.json({
+          success: true,
+          windowHours: config.reconciliation.windowHours,
+          count: windows.length,
+          windows
+        });
       } catch (error) {
         res.status(500).json({
           success: false,
@@ -71,6 +80,61 @@ class ReconciliationRoutes {
         });
       }
     });
+
+    // Trigger manual reconciliation check as a background job
+    router.post('/check', async (req, res) => {
+      try {
+        const mode = req.body && req.body.mode;
+        if (mode && !['count', 'content'].includes(mode)) {
+          return res.status(400).json({
+            success: false,
+            error: 'mode must be "count" or "content"'
+          });
+        }
+
+        const { scope = 'full', windowHours, deleteOrphans, dryRun, maxDeletes } = req.body || {};
+        if (!['full', 'window'].includes(scope)) {
+          return res.status(400).json({
+            success: false,
+            error: 'scope must be "full" or "window"'
+          });
+        }
+        if (scope === 'window' && !(windowHours || config.reconciliation.windowHours)) {
+          return res.status(400).json({
+            success: false,
+            error: 'windowHours is required when RECONCILIATION_WINDOW_HOURS is 0'
+          });
+        }
+
+        const params = { scope, windowHours, mode: mode || config.reconciliation.mode, deleteOrphans, dryRun, maxDeletes };
+
+        const job = this.jobManager.submit('reconciliation', async ({ signal, reportProgress }) => {
+          const result = await this.reconciliationService.checkAndSync({
+            ...params,
+            manual: true,
+            signal,
+            onProgress: reportProgress
+          });
+          // Failed and skipped checks resolve rather than throw
+          if (!result || result.success === false) {
+            throw new Error((result && result.error) || 'Reconciliation check failed');
+          }
+          return result;
+        }, { params });
+        res.status(202).json({
+          success: true,
+          jobId: job.id,
+          status: job.status,
+          statusUrl: `/api/jobs/${job.id}`
+        });
+      } catch (error) {
+        res.status(error.statusCode || 500).json({
+          success: false,
+          error: error.message,
+          activeJobId: error.activeJobId
+        });
+      }
+    });
   }
 
   getRouter() {
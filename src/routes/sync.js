@@ -2,8 +2,9 @@ const express = require('express');
 const router = express.Router();
 
 class SyncRoutes {
-  constructor(syncService) {
+  constructor(syncService, jobManager) {
     this.syncService = syncService;
+    this.jobManager = jobManager;
     this.setupRoutes();
   }
 
@@ -55,15 +56,54 @@ class SyncRoutes {
       }
     });
 
-    // Trigger full sync
+    // Trigger full sync as a background job
     router.post('/full-sync', async (req, res) => {
       try {
         const options = req.body || {};
-        const result = await this.syncService.performFullSync(options);
-        res.json(result);
+        const job = this.jobManager.submit('full-sync', ({ signal, reportProgress }) =>
+          this.syncService.performFullSync({ ...options, signal, onProgress: reportProgress }),
+        { params: options });
+        res.status(202).json({
+          success: true,
+          jobId: job.id,
+          status: job.status,
+          statusUrl: `/api/jobs/${job.id}`
+        });
       } catch (error) {
-        res.status(500).json({
+        res.status(error.statusCode || 500).json({
           success: false,
+          error: error.message,
+          activeJobId: error.activeJobId
+        });
+      }
+    });
+
+    // Get the full sync high-water mark
+    router.get('/full-sync/checkpoint', async (req, res) => {
+      try {
+        const checkpoint = await this.syncService.getFullSyncCheckpoint();
+        res.json({
+          checkpoint
+        });
+      } catch (error) {
+        res.status(500).json({
+          error: error.message
+        });
+      }
+    });
+
+    // Dry-run the field mapping for a single MongoDB document
+    router.get('/transform/:id', async (req, res) => {
+      try {
+        const preview = await this.syncService.previewTransform(req.params.id);
+        if (!preview) {
+          return res.status(404).json({
+            error: 'Document not found in MongoDB'
+          });
+        }
+        res.json(preview);
+      } catch (error) {
+        res.status(500).json({
           error: error.message
         });
       }
@@ -84,6 +124,103 @@ class SyncRoutes {
         });
       }
     });
+
+    // List dead-lettered documents
+    router.get('/dead-letter', async (req, res) => {
+      try {
+        const result = await this.syncService.deadLetterQueue.list({
+          limit: parseInt(req.query.limit) || 50,
+          skip: parseInt(req.query.skip) || 0,
+          errorType: req.query.errorType
+        });
+        res.json(result);
+      } catch (error) {
+        res.status(500).json({
+          error: error.message
+        });
+      }
+    });
+
+    // Retry all dead-lettered documents
+    router.post('/dead-letter/retry', async (req, res) => {
+      try {
+        const { limit, errorType } = req.body || {};
+        const result = await this.syncService.deadLetterQueue.retryAll({ limit, errorType });
+        res.json({
+          success: true,
+          ...result
+        });
+      } catch (error) {
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    // Inspect a single dead-lettered document
+    router.get('/dead-letter/:id', async (req, res) => {
+      try {
+        const entry = await this.syncService.deadLetterQueue.get(req.params.id);
+        if (!entry) {
+          return res.status(404).json({
+            error: 'Dead-letter entry not found'
+          });
+        }
+        res.json(entry);
+      } catch (error) {
+        res.status(500).json({
+          error: error.message
+        });
+      }
+    });
+
+    // Retry a single dead-lettered document
+    router.post('/dead-letter/:id/retry', async (req, res) => {
+      try {
+        const result = await this.syncService.deadLetterQueue.retry(req.params.id);
+        res.status(result.success ? 200 : 422).json(result);
+      } catch (error) {
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    // Remove a single dead-letter entry
+    router.delete('/dead-letter/:id', async (req, res) => {
+      try {
+        const removed = await this.syncService.deadLetterQueue.remove(req.params.id);
+        res.status(removed ? 200 : 404).json({
+          success: removed
+        });
+      } catch (error) {
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    // Purge dead-letter entries, optionally by error type or age
+    router.delete('/dead-letter', async (req, res) => {
+      try {
+        const purged = await this.syncService.deadLetterQueue.purge({
+          errorType: req.query.errorType,
+          olderThan: req.query.olderThan
+        });
+        res.json({
+          success: true,
+          purged
+        });
+      } catch (error) {
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
   }
 
   getRouter() {
@@ -0,0 +1,44 @@
+const express = require('express');
+const router = express.Router();
+
+class TemplateRoutes {
+  constructor(templateManager) {
+    this.templateManager = templateManager;
+    this.setupRoutes();
+  }
+
+  setupRoutes() {
+    // Compare the live templates with the index definition file
+    router.get('/', async (req, res) => {
+      try {
+        res.json(await this.templateManager.check());
+      } catch (error) {
+        res.status(500).json({
+          error: error.message
+        });
+      }
+    });
+
+    // Write the templates that differ from the file
+    router.post('/apply', async (req, res) => {
+      try {
+        const result = await this.templateManager.apply({ force: Boolean(req.body && req.body.force) });
+        res.json({
+          success: true,
+          ...result
+        });
+      } catch (error) {
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+  }
+
+  getRouter() {
+    return router;
+  }
+}
+
+module.exports = TemplateRoutes;
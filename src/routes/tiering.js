@@ -0,0 +1,63 @@
+const express = require('express');
+const router = express.Router();
+
+class TieringRoutes {
+  constructor(tieringService, jobManager) {
+    this.tieringService = tieringService;
+    this.jobManager = jobManager;
+    this.setupRoutes();
+  }
+
+  setupRoutes() {
+    // Tier rules, demotion stats and documents per tier
+    router.get('/', async (req, res) => {
+      try {
+        const stats = this.tieringService.getStats();
+        res.json({
+          ...stats,
+          counts: stats.enabled ? await this.tieringService.getTierCounts() : null
+        });
+      } catch (error) {
+        res.status(500).json({
+          error: error.message
+        });
+      }
+    });
+
+    // Demote aged-out documents now, as a background job
+    router.post('/demote', async (req, res) => {
+      try {
+        if (!this.tieringService.isEnabled()) {
+          return res.status(400).json({
+            success: false,
+            error: 'Tiering is not enabled'
+          });
+        }
+
+        const { dryRun, batchSize } = req.body || {};
+        const job = this.jobManager.submit('tier-demotion', ({ signal, reportProgress }) =>
+          this.tieringService.demote({ dryRun, batchSize, signal, onProgress: reportProgress }),
+        { params: { dryRun, batchSize } });
+
+        res.status(202).json({
+          success: true,
+          jobId: job.id,
+          status: job.status,
+          statusUrl: `/api/jobs/${job.id}`
+        });
+      } catch (error) {
+        res.status(error.statusCode || 500).json({
+          success: false,
+          error: error.message,
+          activeJobId: error.activeJobId
+        });
+      }
+    });
+  }
+
+  getRouter() {
+    return router;
+  }
+}
+
+module.exports = TieringRoutes;
@@ -6,19 +6,37 @@ const rateLimit = require('express-rate-limit');
 
 const config = require('./config');
 const logger = require('./utils/logger');
-const SyncService = require('./services/syncService');
+const ApiAuth = require('./middleware/auth');
+const PipelineManager = require('./services/pipelineManager');
 const ReconciliationService = require('./services/reconciliationService');
+const JobManager = require('./services/jobManager');
 const HealthRoutes = require('./routes/health');
 const SyncRoutes = require('./routes/sync');
 const CountMonitorRoutes = require('./routes/countMonitor');
 const ReconciliationRoutes = require('./routes/reconciliation');
-const documentCountMonitor = require('./services/documentCountMonitor');
+const JobRoutes = require('./routes/jobs');
+const IndexMigrationRoutes = require('./routes/indexMigration');
+const TemplateRoutes = require('./routes/templates');
+const TieringRoutes = require('./routes/tiering');
+const MetricsRoutes = require('./routes/metrics');
+const PipelineRoutes = require('./routes/pipelines');
+const DocumentCountMonitor = require('./services/documentCountMonitor');
 
 class Server {
   constructor() {
     this.app = express();
-    this.syncService = new SyncService();
+    this.pipelineManager = new PipelineManager();
+    // /api/sync, reconciliation and the count monitor work on the primary pipeline
+    this.syncService = this.pipelineManager.getPrimary();
+    this.jobManager = new JobManager();
+    this.documentCountMonitor = new DocumentCountMonitor(
+      this.syncService.mongodbService,
+      this.syncService.opensearchService,
+      this.syncService,
+      this.jobManager
+    );
     this.reconciliationService = null; // Initialize after syncService starts
+    this.reconciliationRouter = null;
     this.setupMiddleware();
     this.setupRoutes();
     this.setupErrorHandling();
@@ -57,6 +75,11 @@ class Server {
       });
       next();
     });
+    
+    // API key authentication; audited first so rejected calls are logged too
+    const auth = new ApiAuth();
+    this.app.use(auth.audit());
+    this.app.use(auth.authenticate());
   }
 
   setupRoutes() {
@@ -65,13 +88,37 @@ class Server {
     this.app.use('/api/health', healthRoutes.getRouter());
     
     // Sync routes
-    const syncRoutes = new SyncRoutes(this.syncService);
+    const syncRoutes = new SyncRoutes(this.syncService, this.jobManager);
     this.app.use('/api/sync', syncRoutes.getRouter());
     
+    // Per-pipeline routes
+    const pipelineRoutes = new PipelineRoutes(this.pipelineManager);
+    this.app.use('/api/pipelines', pipelineRoutes.getRouter());
+    
+    // Background job routes
+    const jobRoutes = new JobRoutes(this.jobManager);
+    this.app.use('/api/jobs', jobRoutes.getRouter());
+    
+    // Index version migration routes
+    const indexMigrationRoutes = new IndexMigrationRoutes(this.syncService.indexMigration, this.jobManager);
+    this.app.use('/api/index/migration', indexMigrationRoutes.getRouter());
+    
+    // Index/component template routes
+    const templateRoutes = new TemplateRoutes(this.syncService.opensearchService.templates);
+    this.app.use('/api/index/templates', templateRoutes.getRouter());
+    
+    // Hot/warm tier routes
+    const tieringRoutes = new TieringRoutes(this.syncService.tiering, this.jobManager);
+    this.app.use('/api/tiering', tieringRoutes.getRouter());
+    
     // Count monitor routes
-    const countMonitorRoutes = new CountMonitorRoutes(documentCountMonitor);
+    const countMonitorRoutes = new CountMonitorRoutes(this.documentCountMonitor);
     this.app.use('/api/count-monitor', countMonitorRoutes.getRouter());
     
+    // Prometheus metrics
+    this.metricsRoutes = new MetricsRoutes(this.pipelineManager, this.documentCountMonitor);
+    this.app.use('/metrics', this.metricsRoutes.getRouter());
+    
     // Reconciliation routes (will be initialized after services start)
     this.app.use('/api/reconciliation', (req, res, next) => {
       if (!this.reconciliationService) {
@@ -82,6 +129,9 @@ class Server {
       }
       next();
     });
+    // Mounted here so it comes before the 404 handler; the routes themselves
+    // are created along with the service
+    this.app.use('/api/reconciliation', (req, res, next) => this.reconciliationRouter(req, res, next));
     
     // Root endpoint
     this.app.get('/', (req, res) => {
@@ -92,8 +142,14 @@ class Server {
         endpoints: {
           health: '/api/health',
           sync: '/api/sync',
+          pipelines: '/api/pipelines',
+          jobs: '/api/jobs',
+          indexMigration: '/api/index/migration',
+          templates: '/api/index/templates',
+          tiering: '/api/tiering',
           countMonitor: '/api/count-monitor',
-          reconciliation: '/api/reconciliation'
+          reconciliation: '/api/reconciliation',
+          metrics: '/metrics'
         }
       });
     });
@@ -136,18 +192,20 @@ class Server {
 
   async start() {
     try {
-      // Initialize sync service
-      await this.syncService.initialize();
+      // Initialize every sync pipeline
+      await this.pipelineManager.initialize();
       
       // Initialize reconciliation service
-      this.reconciliationService = new ReconciliationService(
+      this.setupReconciliation(new ReconciliationService(
         this.syncService.mongodbService,
-        this.syncService.opensearchService
-      );
-      
-      // Add reconciliation routes now that service is initialized
-      const reconciliationRoutes = new ReconciliationRoutes(this.reconciliationService);
-      this.app.use('/api/reconciliation', reconciliationRoutes.getRouter());
+        this.syncService.opensearchService,
+        {
+          catchUpFields: this.syncService.pipeline.sync.catchUpFields,
+          syncScope: this.syncService.scope,
+          checkpointStore: this.syncService.checkpointStore,
+          deadLetterQueue: this.syncService.deadLetterQueue
+        }
+      ));
       
       // Start the server
       this.server = this.app.listen(config.server.port, () => {
@@ -155,19 +213,19 @@ class Server {
         logger.info(`Environment: ${config.server.nodeEnv}`);
       });
       
-      // Start sync service if enabled
+      // Start sync pipelines if enabled
       if (config.sync.enabled) {
-        await this.syncService.start();
-        logger.info('Sync service started automatically');
+        await this.pipelineManager.startAll();
+        logger.info('Sync pipelines started automatically');
       }
       
       // Start count monitor automatically if enabled
       if (config.countMonitor.enabled) {
         // Configure count monitor settings
-        documentCountMonitor.setAutoSyncEnabled(config.countMonitor.autoSyncEnabled);
-        documentCountMonitor.setAutoSyncThreshold(config.countMonitor.autoSyncThreshold);
+        this.documentCountMonitor.setAutoSyncEnabled(config.countMonitor.autoSyncEnabled);
+        this.documentCountMonitor.setAutoSyncThreshold(config.countMonitor.autoSyncThreshold);
         
-        await documentCountMonitor.startMonitoring();
+        await this.documentCountMonitor.startMonitoring();
         logger.info('Document count monitor started automatically');
       } else {
         logger.info('Document count monitor disabled by configuration');
@@ -194,6 +252,17 @@ class Server {
     }
   }
 
+  setupReconciliation(reconciliationService) {
+    this.reconciliationService = reconciliationService;
+    // Lets the count monitor heal gaps through reconciliation
+    this.documentCountMonitor.reconciliationService = reconciliationService;
+    this.metricsRoutes.reconciliationService = reconciliationService;
+    
+    // Served through the /api/reconciliation mount in setupRoutes()
+    const reconciliationRoutes = new ReconciliationRoutes(reconciliationService, this.jobManager);
+    this.reconciliationRouter = reconciliationRoutes.getRouter();
+  }
+
   async gracefulShutdown(signal) {
     logger.info(`Received ${signal}. Starting graceful shutdown...`);
     
@@ -205,19 +274,19 @@ class Server {
         });
       }
       
-      // Stop sync service
-      await this.syncService.stop();
+      // Stop every sync pipeline
+      await this.pipelineManager.stopAll();
       
       // Stop count monitor
-      await documentCountMonitor.stopMonitoring();
+      await this.documentCountMonitor.stopMonitoring();
       
       // Stop reconciliation service
       if (this.reconciliationService) {
         await this.reconciliationService.stop();
       }
       
-      // Close MongoDB connection
-      await this.syncService.mongodbService.disconnect();
+      // Close MongoDB connections
+      await this.pipelineManager.disconnect();
       
       logger.info('Graceful shutdown completed');
       process.exit(0);
@@ -229,11 +298,13 @@ class Server {
   }
 }
 
-// Start the server
-const server = new Server();
-server.start().catch((error) => {
-  logger.error('Failed to start application:', error);
-  process.exit(1);
-});
+// Start the server when run directly (not when required by tests)
+if (require.main === module) {
+  const server = new Server();
+  server.start().catch((error) => {
+    logger.error('Failed to start application:', error);
+    process.exit(1);
+  });
+}
 
 module.exports = Server;
@@ -0,0 +1,296 @@
+const BulkProcessor = require('../bulkProcessor');
+const logger = require('../../utils/logger');
+
+logger.silent = true;
+
+// A bulkWrite stub whose calls stay pending until the test settles them
+function pendingOpenSearch() {
+  const calls = [];
+  const opensearchService = {
+    bulkWrite: jest.fn(ops => new Promise((resolve, reject) => {
+      calls.push({ ops, resolve, reject });
+    }))
+  };
+  return { opensearchService, calls };
+}
+
+// Lets the processor run every continuation of an already settled request
+function settle() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+function createProcessor(opensearchService, options = {}) {
+  return new BulkProcessor(opensearchService, {
+    settings: { batchSize: 100, concurrency: 2, ...options.settings },
+    ...options
+  });
+}
+
+const ids = (items) => items.map(item => item.document._id);
+
+describe('BulkProcessor', () => {
+  describe('coalescing', () => {
+    it('keeps only the last of an upsert, delete and upsert of a queued document', async () => {
+      const opensearchService = { bulkWrite: jest.fn(async () => ({ failedItems: [] })) };
+      const processor = createProcessor(opensearchService);
+
+      processor.enqueue({ document: { _id: 'a', title: 'first' }, operation: 'upsert' });
+      processor.enqueue({ document: { _id: 'a' }, operation: 'delete' });
+      processor.enqueue({ document: { _id: 'a', title: 'second' }, operation: 'upsert' });
+
+      expect(processor.queue).toHaveLength(1);
+      expect(processor.queue[0].seq).toBe(2);
+      expect(processor.stats.coalesced).toBe(2);
+
+      await processor.flush();
+
+      expect(opensearchService.bulkWrite).toHaveBeenCalledTimes(1);
+      expect(opensearchService.bulkWrite.mock.calls[0][0]).toEqual([
+        expect.objectContaining({ operation: 'upsert', document: { _id: 'a', title: 'second' } })
+      ]);
+    });
+
+    it('lets a delete supersede a queued upsert', () => {
+      const processor = createProcessor({ bulkWrite: jest.fn() });
+
+      processor.enqueue({ document: { _id: 'a', title: 'first' }, operation: 'upsert' });
+      processor.enqueue({ document: { _id: 'a' }, operation: 'delete' });
+
+      expect(processor.queue.map(item => item.operation)).toEqual(['delete']);
+    });
+
+    it('merges a partial update into a queued upsert', () => {
+      const processor = createProcessor({ bulkWrite: jest.fn() });
+
+      processor.enqueue({ document: { _id: 'a', title: 'first', status: 'new' }, operation: 'upsert' });
+      processor.enqueue({ document: { _id: 'a', status: 'seen' }, operation: 'update', unset: ['title'] });
+
+      expect(processor.queue).toHaveLength(1);
+      expect(processor.queue[0]).toMatchObject({
+        operation: 'upsert',
+        document: { _id: 'a', status: 'seen' }
+      });
+      expect(processor.queue[0].unset).toBeUndefined();
+    });
+
+    it('merges consecutive partial updates and their unset fields', () => {
+      const processor = createProcessor({ bulkWrite: jest.fn() });
+
+      processor.enqueue({ document: { _id: 'a', title: 'first' }, operation: 'update', unset: ['status', 'note'] });
+      processor.enqueue({ document: { _id: 'a', status: 'seen' }, operation: 'update', unset: ['tags'] });
+
+      expect(processor.queue).toHaveLength(1);
+      expect(processor.queue[0]).toMatchObject({
+        operation: 'update',
+        document: { _id: 'a', title: 'first', status: 'seen' }
+      });
+      expect(processor.queue[0].unset.sort()).toEqual(['note', 'tags']);
+    });
+
+    it('keeps the pre-image of the superseded change', () => {
+      const processor = createProcessor({ bulkWrite: jest.fn() });
+      const previous = { _id: 'a', scraped_at: '2024-04-30T00:00:00Z' };
+
+      processor.enqueue({ document: { _id: 'a', title: 'first' }, operation: 'upsert', previous, isNew: false });
+      processor.enqueue({ document: { _id: 'a' }, operation: 'delete', previous: { _id: 'a' }, isNew: false });
+
+      expect(processor.queue[0].previous).toBe(previous);
+    });
+  });
+
+  describe('ordering', () => {
+    it('sends batches in sequence order', async () => {
+      const opensearchService = { bulkWrite: jest.fn(async () => ({ failedItems: [] })) };
+      const processor = createProcessor(opensearchService, { settings: { batchSize: 2, concurrency: 1 } });
+
+      for (const id of ['a', 'b', 'c', 'd', 'e']) {
+        processor.enqueue({ document: { _id: id }, operation: 'upsert' });
+      }
+      await processor.flush();
+
+      expect(opensearchService.bulkWrite.mock.calls.map(([ops]) => ops.map(op => op.document._id)))
+        .toEqual([['a', 'b'], ['c', 'd'], ['e']]);
+    });
+
+    it('holds back changes to a document until its in-flight batch finishes', async () => {
+      const { opensearchService, calls } = pendingOpenSearch();
+      const processor = createProcessor(opensearchService);
+
+      processor.enqueue({ document: { _id: 'a', title: 'first' }, operation: 'upsert' });
+      const first = processor.processBatch();
+
+      processor.enqueue({ document: { _id: 'a' }, operation: 'delete' });
+      processor.enqueue({ document: { _id: 'a', title: 'second' }, operation: 'upsert' });
+      processor.enqueue({ document: { _id: 'b' }, operation: 'upsert' });
+      const second = processor.processBatch();
+
+      // A free slot takes b, but not the newer change to a
+      expect(calls).toHaveLength(2);
+      expect(ids(calls[1].ops)).toEqual(['b']);
+      expect(processor.queue.map(item => item.document)).toEqual([{ _id: 'a', title: 'second' }]);
+
+      calls[0].resolve({ failedItems: [] });
+      calls[1].resolve({ failedItems: [] });
+      await Promise.all([first, second]);
+
+      const flushing = processor.flush();
+      await settle();
+      expect(calls).toHaveLength(3);
+      expect(calls[2].ops).toEqual([
+        expect.objectContaining({ operation: 'upsert', document: { _id: 'a', title: 'second' } })
+      ]);
+      calls[2].resolve({ failedItems: [] });
+      await flushing;
+    });
+
+    it('merges an update into an in-flight upsert that has to be retried', async () => {
+      const { opensearchService, calls } = pendingOpenSearch();
+      const processor = createProcessor(opensearchService);
+
+      processor.enqueue({ document: { _id: 'a', title: 'first', status: 'new' }, operation: 'upsert' });
+      const sending = processor.processBatch();
+
+      processor.enqueue({ document: { _id: 'a', status: 'seen' }, operation: 'update' });
+      expect(processor.queue[0].operation).toBe('update');
+
+      // The upsert is throttled, so the queued update must not go out on its own
+      calls[0].resolve({ failedItems: [{ id: 'a', status: 429, errorType: 'es_rejected_execution_exception' }] });
+      await sending;
+
+      expect(processor.queue).toHaveLength(1);
+      expect(processor.queue[0]).toMatchObject({
+        operation: 'upsert',
+        document: { _id: 'a', title: 'first', status: 'seen' }
+      });
+      expect(processor.queue[0].seq).toBe(1);
+    });
+  });
+
+  describe('checkpointing', () => {
+    it('reports batches that finish out of order once every earlier one is done', async () => {
+      const { opensearchService, calls } = pendingOpenSearch();
+      const onBatchProcessed = jest.fn();
+      const processor = createProcessor(opensearchService, {
+        settings: { batchSize: 1, concurrency: 2 },
+        onBatchProcessed
+      });
+
+      processor.enqueue({ document: { _id: 'a' }, operation: 'upsert' });
+      processor.enqueue({ document: { _id: 'b' }, operation: 'upsert' });
+      const sending = processor.processBatch();
+      expect(calls).toHaveLength(2);
+
+      calls[1].resolve({ failedItems: [] });
+      await settle();
+      expect(onBatchProcessed).not.toHaveBeenCalled();
+
+      calls[0].resolve({ failedItems: [] });
+      await sending;
+
+      expect(onBatchProcessed).toHaveBeenCalledTimes(1);
+      expect(ids(onBatchProcessed.mock.calls[0][0])).toEqual(['a', 'b']);
+    });
+
+    it('waits for a re-queued earlier document before reporting later ones', async () => {
+      const onBatchProcessed = jest.fn();
+      const opensearchService = {
+        bulkWrite: jest.fn()
+          .mockResolvedValueOnce({ failedItems: [{ id: 'a', status: 503, errorType: 'unavailable' }] })
+          .mockResolvedValue({ failedItems: [] })
+      };
+      const processor = createProcessor(opensearchService, {
+        settings: { batchSize: 2, concurrency: 1 },
+        onBatchProcessed
+      });
+
+      processor.enqueue({ document: { _id: 'a' }, operation: 'upsert' });
+      processor.enqueue({ document: { _id: 'b' }, operation: 'upsert' });
+      await processor.processBatch();
+
+      expect(ids(processor.queue)).toEqual(['a']);
+      expect(onBatchProcessed).not.toHaveBeenCalled();
+
+      await processor.flush();
+
+      expect(onBatchProcessed).toHaveBeenCalledTimes(1);
+      expect(ids(onBatchProcessed.mock.calls[0][0])).toEqual(['a', 'b']);
+      expect(processor.completed).toEqual([]);
+    });
+  });
+
+  describe('failures', () => {
+    it('isolates a poison document in a rejected batch to the dead-letter queue', async () => {
+      const rejection = Object.assign(new Error('failed to parse field [start_date]'), {
+        statusCode: 400,
+        body: { error: { type: 'mapper_parsing_exception' } }
+      });
+      const opensearchService = {
+        bulkWrite: jest.fn(async (ops) => {
+          if (ops.some(op => op.document._id === 'poison')) {
+            throw rejection;
+          }
+          return { failedItems: [] };
+        })
+      };
+      const deadLetterQueue = { add: jest.fn(async () => {}) };
+      const onBatchProcessed = jest.fn();
+      const processor = createProcessor(opensearchService, { deadLetterQueue, onBatchProcessed });
+
+      for (const id of ['a', 'b', 'poison', 'c']) {
+        processor.enqueue({ document: { _id: id }, operation: 'upsert' });
+      }
+      await processor.flush();
+
+      expect(deadLetterQueue.add).toHaveBeenCalledTimes(1);
+      expect(deadLetterQueue.add.mock.calls[0][0]).toEqual([
+        expect.objectContaining({ id: 'poison', operation: 'upsert', status: 400, errorType: 'mapper_parsing_exception' })
+      ]);
+      expect(processor.stats.deadLettered).toBe(1);
+      expect(ids(onBatchProcessed.mock.calls.flatMap(([batch]) => batch))).toEqual(['a', 'b', 'poison', 'c']);
+      expect(processor.queue).toEqual([]);
+    });
+
+    it('dead-letters documents OpenSearch refuses and re-queues throttled ones', async () => {
+      const opensearchService = {
+        bulkWrite: jest.fn()
+          .mockResolvedValueOnce({
+            failedItems: [
+              { id: 'a', status: 400, errorType: 'mapper_parsing_exception' },
+              { id: 'b', status: 429, errorType: 'es_rejected_execution_exception' }
+            ]
+          })
+          .mockResolvedValue({ failedItems: [] })
+      };
+      const deadLetterQueue = { add: jest.fn(async () => {}) };
+      const processor = createProcessor(opensearchService, { deadLetterQueue });
+
+      processor.enqueue({ document: { _id: 'a' }, operation: 'upsert' });
+      processor.enqueue({ document: { _id: 'b' }, operation: 'upsert' });
+      await processor.processBatch();
+
+      expect(deadLetterQueue.add.mock.calls[0][0]).toEqual([expect.objectContaining({ id: 'a', attempts: 1 })]);
+      expect(ids(processor.queue)).toEqual(['b']);
+      expect(processor.queue[0].attempts).toBe(1);
+    });
+
+    it('re-queues a partial update of an unindexed document as an upsert of the source document', async () => {
+      const opensearchService = {
+        bulkWrite: jest.fn().mockResolvedValue({
+          failedItems: [{ id: 'a', status: 404, errorType: 'document_missing_exception' }]
+        })
+      };
+      const fetchDocuments = jest.fn(async () => [{ _id: 'a', title: 'full', status: 'seen' }]);
+      const processor = createProcessor(opensearchService, { fetchDocuments });
+
+      processor.enqueue({ document: { _id: 'a', status: 'seen' }, operation: 'update' });
+      await processor.processBatch();
+
+      expect(fetchDocuments).toHaveBeenCalledWith(['a']);
+      expect(processor.queue).toHaveLength(1);
+      expect(processor.queue[0]).toMatchObject({
+        operation: 'upsert',
+        document: { _id: 'a', title: 'full', status: 'seen' }
+      });
+    });
+  });
+});
@@ -0,0 +1,32 @@
+const { MISSING_BUCKET, mongoBucketFilter, opensearchBucketQuery } = require('../countDimensions');
+
+describe('countDimensions', () => {
+  describe('mongoBucketFilter', () => {
+    it('selects stored-value buckets by plain equality', () => {
+      expect(mongoBucketFilter('countrySearchedfor', 'US')).toEqual({ countrySearchedfor: 'US' });
+      expect(mongoBucketFilter('is_active', 'true')).toEqual({ is_active: true });
+      expect(mongoBucketFilter('is_active', 'false')).toEqual({ is_active: false });
+      expect(mongoBucketFilter('countrySearchedfor', MISSING_BUCKET)).toEqual({ countrySearchedfor: null });
+    });
+
+    it('selects computed buckets by their expression', () => {
+      const filter = mongoBucketFilter('page_id', '42');
+
+      expect(filter.$expr.$eq[1]).toBe('42');
+      expect(mongoBucketFilter('scrape_day', MISSING_BUCKET).$expr.$eq[1]).toBeNull();
+    });
+
+    it('rejects unknown dimensions', () => {
+      expect(() => mongoBucketFilter('colour', 'red')).toThrow('Unknown count dimension "colour"');
+    });
+  });
+
+  describe('opensearchBucketQuery', () => {
+    it('matches the same buckets on the OpenSearch side', () => {
+      expect(opensearchBucketQuery('is_active', 'false')).toEqual({ term: { is_active: false } });
+      expect(opensearchBucketQuery('countrySearchedfor', MISSING_BUCKET))
+        .toEqual({ bool: { must_not: { exists: { field: 'countrySearchedfor' } } } });
+      expect(opensearchBucketQuery('page_id', '42').script.script.params).toEqual({ digits: 2, key: '42' });
+    });
+  });
+});
@@ -0,0 +1,44 @@
+const DeadLetterQueue = require('../deadLetterQueue');
+const logger = require('../../utils/logger');
+
+logger.silent = true;
+
+function createQueue() {
+  const collection = {
+    bulkWrite: jest.fn(async () => ({})),
+    findOne: jest.fn(async () => null),
+    deleteOne: jest.fn(async () => ({ deletedCount: 1 }))
+  };
+  const mongodbService = {
+    db: { collection: () => collection },
+    findDocumentsByIds: jest.fn(async ids => ids.map(id => ({ _id: id })))
+  };
+  const opensearchService = { bulkWrite: jest.fn() };
+  return { queue: new DeadLetterQueue(mongodbService, opensearchService), collection, opensearchService };
+}
+
+describe('DeadLetterQueue', () => {
+  it('keeps the highest attempt count reported instead of adding them up', async () => {
+    const { queue, collection } = createQueue();
+
+    await queue.add([{ id: 'a', operation: 'upsert', errorType: 'mapper_parsing_exception', attempts: 5 }]);
+
+    const [[[{ updateOne }]]] = collection.bulkWrite.mock.calls;
+    expect(updateOne.filter).toEqual({ _id: 'a' });
+    expect(updateOne.update.$max).toEqual({ attempts: 5 });
+    expect(updateOne.update.$inc).toBeUndefined();
+  });
+
+  it('counts a failed retry as one more attempt', async () => {
+    const { queue, collection, opensearchService } = createQueue();
+    collection.findOne.mockResolvedValueOnce({ _id: 'a', operation: 'upsert', attempts: 5 });
+    opensearchService.bulkWrite.mockResolvedValueOnce({
+      failedItems: [{ id: 'a', operation: 'upsert', status: 400, errorType: 'mapper_parsing_exception', errorReason: 'bad' }]
+    });
+
+    const result = await queue.retry('a');
+
+    expect(result).toEqual({ success: false, id: 'a', error: 'bad' });
+    expect(collection.bulkWrite.mock.calls[0][0][0].updateOne.update.$max).toEqual({ attempts: 6 });
+  });
+});
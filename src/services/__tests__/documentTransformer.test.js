@@ -0,0 +1,129 @@
+const DocumentTransformer = require('../documentTransformer');
+const logger = require('../../utils/logger');
+
+logger.silent = true;
+
+describe('DocumentTransformer', () => {
+  describe('hash', () => {
+    const transformer = new DocumentTransformer({ passthrough: true });
+
+    it('does not depend on key order', () => {
+      const first = { title: 'Ad', page: { id: '1', name: 'Page' }, tags: [{ a: 1, b: 2 }] };
+      const second = { tags: [{ b: 2, a: 1 }], page: { name: 'Page', id: '1' }, title: 'Ad' };
+
+      expect(transformer.hash(first)).toBe(transformer.hash(second));
+    });
+
+    it('ignores undefined values but not nulls', () => {
+      expect(transformer.hash({ title: 'Ad', note: undefined })).toBe(transformer.hash({ title: 'Ad' }));
+      expect(transformer.hash({ title: 'Ad', note: null })).not.toBe(transformer.hash({ title: 'Ad' }));
+    });
+
+    it('changes with array order and values', () => {
+      const hash = transformer.hash({ tags: ['a', 'b'] });
+
+      expect(transformer.hash({ tags: ['b', 'a'] })).not.toBe(hash);
+      expect(transformer.hash({ tags: ['a', 'c'] })).not.toBe(hash);
+    });
+
+    it('hashes dates by their time', () => {
+      expect(transformer.hash({ at: new Date('2024-05-01T00:00:00Z') }))
+        .toBe(transformer.hash({ at: new Date(Date.UTC(2024, 4, 1)) }));
+      expect(transformer.hash({ at: new Date('2024-05-01T00:00:00Z') }))
+        .not.toBe(transformer.hash({ at: new Date('2024-05-02T00:00:00Z') }));
+    });
+  });
+
+  describe('coercions', () => {
+    it('reads epochSeconds from numbers and date strings', () => {
+      const transformer = new DocumentTransformer({
+        fields: { start_date: { source: 'start', type: 'epochSeconds' } }
+      });
+
+      expect(transformer.transform({ start: 1714521600 }).start_date).toEqual(new Date('2024-05-01T00:00:00Z'));
+      expect(transformer.transform({ start: '2024-05-01T00:00:00Z' }).start_date)
+        .toEqual(new Date('2024-05-01T00:00:00Z'));
+      expect(transformer.transform({ start: 'not a date' }).start_date).toBeNull();
+      expect(transformer.transform({}).start_date).toBeUndefined();
+    });
+
+    it('parses dates and turns invalid ones into null', () => {
+      const transformer = new DocumentTransformer({
+        fields: { scraped_at: { type: 'date' } }
+      });
+      const date = new Date('2024-05-01T12:00:00Z');
+
+      expect(transformer.transform({ scraped_at: '2024-05-01T12:00:00Z' }).scraped_at).toEqual(date);
+      expect(transformer.transform({ scraped_at: date.getTime() }).scraped_at).toEqual(date);
+      expect(transformer.transform({ scraped_at: date }).scraped_at).toBe(date);
+      expect(transformer.transform({ scraped_at: 'yesterday-ish' }).scraped_at).toBeNull();
+      expect(transformer.transform({ scraped_at: null }).scraped_at).toBeNull();
+    });
+
+    it('normalises objectArray items into objects with the given properties', () => {
+      const transformer = new DocumentTransformer({
+        fields: {
+          platforms: {
+            type: 'objectArray',
+            key: 'name',
+            properties: { name: null, active: true }
+          }
+        }
+      });
+
+      expect(transformer.transform({
+        platforms: ['facebook', { name: 'instagram', active: false, extra: 1 }, { name: 'messenger' }, 42, null]
+      }).platforms).toEqual([
+        { name: 'facebook', active: true },
+        { name: 'instagram', active: false },
+        { name: 'messenger', active: true }
+      ]);
+      expect(transformer.transform({ platforms: 'facebook' }).platforms).toBe('facebook');
+    });
+
+    it('coerces listed keys of an object field and applies defaults', () => {
+      const transformer = new DocumentTransformer({
+        fields: {
+          page: { type: 'object', coerce: { id: 'string', likes: 'number' } },
+          is_active: { type: 'boolean', default: false }
+        }
+      });
+
+      expect(transformer.transform({ page: { id: 12, likes: '40', name: 'Page' }, is_active: 'TRUE' }))
+        .toEqual({ page: { id: '12', likes: 40, name: 'Page' }, is_active: true });
+      expect(transformer.transform({ page: 'not an object' })).toEqual({ page: undefined, is_active: false });
+    });
+
+    it('rejects unknown types and coercions', () => {
+      expect(() => new DocumentTransformer({ fields: { a: { type: 'money' } } }))
+        .toThrow('Unknown type "money" for mapped field a');
+      expect(() => new DocumentTransformer({ fields: { a: { type: 'object', coerce: { b: 'money' } } } }))
+        .toThrow('Unknown coercion "money" for a.b');
+    });
+  });
+
+  describe('exclude', () => {
+    const transformer = new DocumentTransformer({
+      passthrough: true,
+      exclude: ['raw', 'page.token']
+    });
+
+    it('removes excluded paths without mutating the source document', () => {
+      const source = { _id: 'a', title: 'Ad', raw: '<html>', page: { id: '1', token: 'secret' } };
+      const copy = JSON.parse(JSON.stringify(source));
+
+      const output = transformer.transform(source);
+
+      expect(output).toEqual({ title: 'Ad', page: { id: '1' } });
+      expect(source).toEqual(copy);
+      expect(output.page).not.toBe(source.page);
+    });
+
+    it('leaves the source document alone in partial updates', () => {
+      const source = { _id: 'a', page: { id: '1', token: 'secret' } };
+
+      expect(transformer.transformPartial(source, ['page', 'raw'])).toEqual({ page: { id: '1' } });
+      expect(source.page).toEqual({ id: '1', token: 'secret' });
+    });
+  });
+});
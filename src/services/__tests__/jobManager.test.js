@@ -0,0 +1,118 @@
+const JobManager = require('../jobManager');
+const logger = require('../../utils/logger');
+
+logger.silent = true;
+
+// Lets the job chain run every continuation of an already settled handler
+function settle() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+// A handler that stays running until the test settles it
+function pendingHandler() {
+  const handler = jest.fn(context => new Promise((resolve, reject) => {
+    Object.assign(handler, { context, resolve, reject });
+  }));
+  return handler;
+}
+
+describe('JobManager', () => {
+  it('runs a job in the background and keeps its result', async () => {
+    const manager = new JobManager();
+
+    const job = manager.submit('full-sync', async () => ({ processed: 3 }), { params: { batchSize: 10 } });
+
+    expect(job).toMatchObject({ type: 'full-sync', status: 'running', params: { batchSize: 10 } });
+    await settle();
+    expect(manager.get(job.id)).toMatchObject({ status: 'completed', result: { processed: 3 }, eta: null });
+    expect(manager.get(job.id).finishedAt).toBeInstanceOf(Date);
+  });
+
+  it('records the error of a failed job', async () => {
+    const manager = new JobManager();
+
+    const job = manager.submit('full-sync', async () => { throw new Error('connection reset'); });
+    await settle();
+
+    expect(manager.get(job.id)).toMatchObject({ status: 'failed', error: 'connection reset' });
+  });
+
+  it('refuses a second job with the same lock key while the first is running', async () => {
+    const manager = new JobManager();
+    const handler = pendingHandler();
+    const first = manager.submit('full-sync', handler);
+    await settle();
+
+    expect(() => manager.submit('full-sync', jest.fn())).toThrow(expect.objectContaining({
+      statusCode: 409,
+      activeJobId: first.id
+    }));
+    expect(() => manager.submit('full-sync', async () => ({}), { lockKey: 'full-sync:pages' })).not.toThrow();
+
+    handler.resolve({});
+    await settle();
+    expect(() => manager.submit('full-sync', async () => ({}))).not.toThrow();
+  });
+
+  it('merges progress reports and estimates completion from them', async () => {
+    const manager = new JobManager();
+    const handler = pendingHandler();
+    const job = manager.submit('full-sync', handler);
+    await settle();
+    manager.jobs.get(job.id).startedAt = new Date(Date.now() - 60000);
+
+    handler.context.reportProgress({ total: 400 });
+    expect(manager.get(job.id).eta).toBeNull();
+
+    handler.context.reportProgress({ processed: 100, errors: 1 });
+    const { progress, eta } = manager.get(job.id);
+
+    expect(progress).toEqual({ total: 400, processed: 100, errors: 1 });
+    // 100 documents a minute leaves three minutes for the other 300
+    expect(Math.round((eta.getTime() - Date.now()) / 1000)).toBe(180);
+  });
+
+  it('aborts a cancelled job and reports it as cancelled', async () => {
+    const manager = new JobManager();
+    const handler = pendingHandler();
+    const job = manager.submit('reconciliation', handler);
+    await settle();
+
+    expect(manager.cancel(job.id)).toMatchObject({ cancelRequested: true, status: 'running' });
+    expect(handler.context.signal.aborted).toBe(true);
+
+    handler.resolve({ cancelled: true });
+    await settle();
+    expect(manager.get(job.id).status).toBe('cancelled');
+    expect(manager.cancel('unknown')).toBeNull();
+  });
+
+  it('lists jobs newest first and filters them by type and status', async () => {
+    const manager = new JobManager();
+    const sync = manager.submit('full-sync', async () => ({}));
+    await settle();
+    manager.jobs.get(sync.id).createdAt = new Date(Date.now() - 1000);
+    const reconciliation = manager.submit('reconciliation', pendingHandler());
+
+    expect(manager.list().map(job => job.id)).toEqual([reconciliation.id, sync.id]);
+    expect(manager.list({ type: 'full-sync' }).map(job => job.id)).toEqual([sync.id]);
+    expect(manager.list({ status: 'running' }).map(job => job.id)).toEqual([reconciliation.id]);
+  });
+
+  it('drops the oldest finished jobs beyond the history limit but never a running one', async () => {
+    const manager = new JobManager();
+    manager.historyLimit = 2;
+    const running = manager.submit('reconciliation', pendingHandler());
+    const finished = [];
+    for (let position = 0; position < 3; position++) {
+      finished.push(manager.submit('full-sync', async () => ({})));
+      manager.jobs.get(finished[position].id).createdAt = new Date(Date.now() - 10000 + position);
+      await settle();
+    }
+
+    manager.pruneHistory();
+
+    expect(manager.get(running.id)).not.toBeNull();
+    expect(manager.list().map(job => job.id).sort()).toEqual([running.id, finished[2].id].sort());
+  });
+});
@@ -0,0 +1,202 @@
+const OpenSearchService = require('../opensearch');
+const logger = require('../../utils/logger');
+
+logger.silent = true;
+
+// A client stub: hits maps document ids to { index, routing } as searches see
+// them (hitsAfterRefresh once indices.refresh was called), and every _bulk
+// request succeeds
+function stubClient(service, { hits = {}, hitsAfterRefresh = hits, existing = [] } = {}) {
+  let refreshed = false;
+  const client = {
+    search: jest.fn(async ({ body }) => {
+      const visible = refreshed ? hitsAfterRefresh : hits;
+      return {
+        body: {
+          hits: {
+            hits: body.query.ids.values
+              .filter(id => visible[id])
+              .map(id => ({ _id: id, _index: visible[id].index, _routing: visible[id].routing }))
+          }
+        }
+      };
+    }),
+    bulk: jest.fn(async ({ body }) => ({
+      body: {
+        took: 1,
+        items: body.filter(line => !line.doc).map(line => {
+          const [action] = Object.keys(line);
+          return { [action]: { _id: line[action]._id, _index: line[action]._index, status: 200 } };
+        })
+      }
+    })),
+    indices: {
+      refresh: jest.fn(async () => {
+        refreshed = true;
+      }),
+      exists: jest.fn(async ({ index }) => ({ body: existing.includes(index) })),
+      create: jest.fn(async () => ({}))
+    }
+  };
+  service.client = client;
+  return client;
+}
+
+// The action lines of the last _bulk request
+function bulkActions(client) {
+  const { body } = client.bulk.mock.calls[client.bulk.mock.calls.length - 1][0];
+  return body.filter(line => !line.doc).map(line => {
+    const [action] = Object.keys(line);
+    return { action, ...line[action] };
+  });
+}
+
+describe('OpenSearchService', () => {
+  describe('bulkWrite', () => {
+    it('routes deletes by the indexed copy found in the lookup', async () => {
+      const service = new OpenSearchService({ index: 'ads' });
+      const client = stubClient(service, { hits: { a: { index: 'ads', routing: 'page-1' } } });
+
+      await service.bulkWrite([{ operation: 'delete', document: { _id: 'a' } }]);
+
+      expect(client.indices.refresh).not.toHaveBeenCalled();
+      expect(bulkActions(client)).toEqual([{ action: 'delete', _index: 'ads', _id: 'a', routing: 'page-1' }]);
+    });
+
+    it('sends a delete the lookup misses without routing and without a refresh', async () => {
+      const service = new OpenSearchService({ index: 'ads' });
+      const client = stubClient(service);
+
+      await service.bulkWrite([{ operation: 'delete', document: { _id: 'never-indexed' } }]);
+
+      expect(client.indices.refresh).not.toHaveBeenCalled();
+      expect(bulkActions(client)).toEqual([{ action: 'delete', _index: 'ads', _id: 'never-indexed' }]);
+    });
+
+    it('refreshes before giving up on a document it wrote moments ago', async () => {
+      const service = new OpenSearchService({ index: 'ads' });
+      const client = stubClient(service, { hitsAfterRefresh: { a: { index: 'ads', routing: 'page-1' } } });
+
+      await service.bulkWrite([{ operation: 'upsert', document: { _id: 'a', page_id: 'page-1' } }]);
+      await service.bulkWrite([{ operation: 'delete', document: { _id: 'a' } }]);
+
+      expect(client.indices.refresh).toHaveBeenCalledTimes(1);
+      expect(bulkActions(client)).toEqual([{ action: 'delete', _index: 'ads', _id: 'a', routing: 'page-1' }]);
+    });
+
+    it('reports failed items with the operation that produced them', async () => {
+      const service = new OpenSearchService({ index: 'ads' });
+      const client = stubClient(service, { hits: { a: { index: 'ads', routing: 'page-1' } } });
+      client.bulk.mockResolvedValueOnce({
+        body: {
+          took: 1,
+          items: [
+            { update: { _id: 'a', _index: 'ads', status: 400, error: { type: 'mapper_parsing_exception', reason: 'bad' } } },
+            { update: { _id: 'b', _index: 'ads', status: 400, error: { type: 'mapper_parsing_exception', reason: 'bad' } } }
+          ]
+        }
+      });
+
+      const result = await service.bulkWrite([
+        { operation: 'update', document: { _id: 'a', status: 'seen' } },
+        { operation: 'upsert', document: { _id: 'b', page_id: 'page-2' } }
+      ]);
+
+      expect(result.failedItems.map(({ id, operation }) => ({ id, operation })))
+        .toEqual([{ id: 'a', operation: 'update' }, { id: 'b', operation: 'upsert' }]);
+    });
+
+    it('looks ids up in chunks', async () => {
+      const service = new OpenSearchService({ index: 'ads' });
+      const client = stubClient(service);
+      const ids = Array.from({ length: 2500 }, (_, position) => `id-${position}`);
+
+      await service.lookupRoutings(ids);
+
+      expect(client.search.mock.calls.map(([{ body }]) => body.query.ids.values.length)).toEqual([1000, 1000, 500]);
+    });
+  });
+
+  describe('partitioned bulkWrite', () => {
+    const createService = () => new OpenSearchService({ index: 'ads', partitionField: 'start_date' });
+    const existing = ['ads.2024-04', 'ads.2024-05'];
+
+    it('moves a document out of the partition its pre-image belongs to', async () => {
+      const service = createService();
+      const client = stubClient(service, { existing });
+
+      await service.bulkWrite([{
+        operation: 'upsert',
+        document: { _id: 'a', page_id: 'page-1', start_date: '2024-05-02T00:00:00Z' },
+        previous: { _id: 'a', page_id: 'page-1', start_date: '2024-04-30T00:00:00Z' }
+      }]);
+
+      expect(client.indices.refresh).not.toHaveBeenCalled();
+      expect(bulkActions(client).map(({ action, _index, routing }) => ({ action, _index, routing }))).toEqual([
+        { action: 'delete', _index: 'ads.2024-04', routing: 'page-1' },
+        { action: 'update', _index: 'ads.2024-05', routing: 'page-1' }
+      ]);
+    });
+
+    it('moves a document out of the partition the lookup finds it in', async () => {
+      const service = createService();
+      const client = stubClient(service, { existing, hits: { a: { index: 'ads.2024-04', routing: 'page-1' } } });
+
+      await service.bulkWrite([{ operation: 'upsert', document: { _id: 'a', page_id: 'page-2', start_date: '2024-05-02' } }]);
+
+      expect(bulkActions(client).map(({ action, _index, routing }) => ({ action, _index, routing }))).toEqual([
+        { action: 'delete', _index: 'ads.2024-04', routing: 'page-1' },
+        { action: 'update', _index: 'ads.2024-05', routing: 'page-2' }
+      ]);
+    });
+
+    it('deletes a document from the partition holding it', async () => {
+      const service = createService();
+      const client = stubClient(service, { existing, hits: { a: { index: 'ads.2024-04', routing: 'page-1' } } });
+
+      await service.bulkWrite([{ operation: 'delete', document: { _id: 'a' } }]);
+
+      expect(bulkActions(client)).toEqual([{ action: 'delete', _index: 'ads.2024-04', _id: 'a', routing: 'page-1' }]);
+    });
+
+    it('skips a delete for a document no partition holds', async () => {
+      const service = createService();
+      const client = stubClient(service, { existing });
+
+      const result = await service.bulkWrite([{ operation: 'delete', document: { _id: 'a' } }]);
+
+      expect(result).toMatchObject({ success: true, errors: 0 });
+      expect(client.bulk).not.toHaveBeenCalled();
+    });
+
+    it('does not refresh for a full-sync batch', async () => {
+      const service = createService();
+      const client = stubClient(service, { existing });
+      const documents = ['a', 'b'].map(id => ({ _id: id, page_id: 'page-1', start_date: '2024-05-02' }));
+
+      // Written moments ago, so not searchable yet
+      await service.bulkWrite(documents.map(document => ({ operation: 'upsert', document, isNew: true })));
+      await service.bulkIndex(documents);
+
+      expect(client.indices.refresh).not.toHaveBeenCalled();
+      expect(client.bulk).toHaveBeenCalledTimes(2);
+    });
+
+    it('refreshes before rewriting a document it wrote moments ago without a pre-image', async () => {
+      const service = createService();
+      const client = stubClient(service, {
+        existing,
+        hitsAfterRefresh: { a: { index: 'ads.2024-04', routing: 'page-1' } }
+      });
+
+      await service.bulkWrite([{ operation: 'upsert', document: { _id: 'a', page_id: 'page-1', start_date: '2024-04-02' } }]);
+      await service.bulkWrite([{ operation: 'upsert', document: { _id: 'a', page_id: 'page-1', start_date: '2024-05-02' } }]);
+
+      expect(client.indices.refresh).toHaveBeenCalledTimes(1);
+      expect(bulkActions(client).map(({ action, _index }) => ({ action, _index }))).toEqual([
+        { action: 'delete', _index: 'ads.2024-04' },
+        { action: 'update', _index: 'ads.2024-05' }
+      ]);
+    });
+  });
+});
@@ -0,0 +1,59 @@
+const logger = require('../../utils/logger');
+
+logger.silent = true;
+
+// Each pipeline gets a SyncService stub that records whether it was started
+jest.mock('../syncService', () => jest.fn().mockImplementation(pipeline => ({
+  pipeline,
+  isRunning: false,
+  initialize: jest.fn(async () => {}),
+  start: jest.fn(async function start() {
+    this.isRunning = true;
+  }),
+  opensearchService: { tierIndex: () => `${pipeline.name}-index` }
+})));
+
+const PipelineManager = require('../pipelineManager');
+
+const pipeline = name => ({
+  name,
+  enabled: true,
+  mongodb: { database: 'ads', collection: name },
+  opensearch: { indexAlias: `${name}-read` }
+});
+
+describe('PipelineManager', () => {
+  describe('initialize', () => {
+    it('keeps the other pipelines going when one fails to initialize', async () => {
+      const manager = new PipelineManager([pipeline('ads'), pipeline('pages'), pipeline('posts')]);
+      manager.get('pages').initialize.mockRejectedValueOnce(new Error('connect ECONNREFUSED'));
+
+      await manager.initialize();
+      await manager.startAll();
+
+      expect(manager.get('posts').initialize).toHaveBeenCalled();
+      expect(manager.list().map(syncService => syncService.start.mock.calls.length)).toEqual([1, 0, 1]);
+      expect(manager.describe(manager.get('pages'))).toMatchObject({ status: 'failed', error: 'connect ECONNREFUSED' });
+      expect(manager.describe(manager.get('posts'))).toMatchObject({ status: 'running', error: null });
+    });
+
+    it('fails when no pipeline could be initialized', async () => {
+      const manager = new PipelineManager([pipeline('ads'), pipeline('pages')]);
+      for (const syncService of manager.list()) {
+        syncService.initialize.mockRejectedValueOnce(new Error('connect ECONNREFUSED'));
+      }
+
+      await expect(manager.initialize()).rejects.toThrow('No pipeline could be initialized: ads, pages');
+    });
+
+    it('forgets an earlier failure once the pipeline initializes', async () => {
+      const manager = new PipelineManager([pipeline('ads'), pipeline('pages')]);
+      manager.get('pages').initialize.mockRejectedValueOnce(new Error('connect ECONNREFUSED'));
+
+      await manager.initialize();
+      await manager.initialize();
+
+      expect(manager.describe(manager.get('pages'))).toMatchObject({ status: 'stopped', error: null });
+    });
+  });
+});
@@ -0,0 +1,258 @@
+const ReconciliationService = require('../reconciliationService');
+const logger = require('../../utils/logger');
+
+logger.silent = true;
+
+function createService({ countDocuments, docsCount = 10 }) {
+  const mongodbService = {
+    settings: { database: 'ads', collection: 'fb_ad' },
+    collection: { countDocuments }
+  };
+  const opensearchService = { getIndexStats: jest.fn(async () => ({ docs_count: docsCount })) };
+  const checkpointStore = { load: jest.fn(async () => null), save: jest.fn(async () => {}) };
+  const service = new ReconciliationService(mongodbService, opensearchService, { checkpointStore });
+  return { service, checkpointStore };
+}
+
+describe('ReconciliationService', () => {
+  describe('full checks', () => {
+    it('records a full check once it has completed', async () => {
+      const { service, checkpointStore } = createService({ countDocuments: jest.fn(async () => 10) });
+
+      const result = await service.checkAndSync({ manual: true, scope: 'full', mode: 'count' });
+
+      expect(result).toMatchObject({ success: true, inSync: true });
+      expect(service.stats.lastFullCheck).toBeInstanceOf(Date);
+      expect(checkpointStore.save).toHaveBeenCalledWith('reconciliation-full-check:ads.fb_ad', service.stats.lastFullCheck);
+    });
+
+    it('does not record a full check that failed', async () => {
+      const { service, checkpointStore } = createService({
+        countDocuments: jest.fn(async () => { throw new Error('connection reset'); })
+      });
+
+      const result = await service.checkAndSync({ manual: true, scope: 'full', mode: 'count' });
+
+      expect(result).toEqual({ success: false, error: 'connection reset' });
+      expect(service.stats.lastFullCheck).toBeNull();
+      expect(checkpointStore.save).not.toHaveBeenCalled();
+    });
+
+    it('restores the last full check from the checkpoint store', async () => {
+      const { service, checkpointStore } = createService({ countDocuments: jest.fn() });
+      checkpointStore.load.mockResolvedValueOnce('2024-05-01T03:00:00.000Z');
+
+      await service.restoreLastFullCheck();
+
+      expect(checkpointStore.load).toHaveBeenCalledWith('reconciliation-full-check:ads.fb_ad');
+      expect(service.stats.lastFullCheck).toEqual(new Date('2024-05-01T03:00:00.000Z'));
+    });
+  });
+
+  describe('compareDocuments', () => {
+    it('re-indexes missing and stale documents and dead-letters the ones OpenSearch refuses', async () => {
+      const failure = { id: 'b', operation: 'upsert', status: 400, errorType: 'mapper_parsing_exception' };
+      const opensearchService = {
+        buildDocument: jest.fn(document => ({ source_hash: `hash-${document.title}` })),
+        bulkIndex: jest.fn(async () => ({ errors: 1, failedItems: [failure] }))
+      };
+      const deadLetterQueue = { add: jest.fn(async () => {}) };
+      const service = new ReconciliationService(
+        { settings: { database: 'ads', collection: 'fb_ad' } },
+        opensearchService,
+        { deadLetterQueue }
+      );
+      const indexedHashes = new Map([['a', 'hash-current'], ['b', 'hash-old']]);
+      const result = { checked: 0, missing: 0, stale: 0, reindexed: 0, errors: 0 };
+
+      await service.compareDocuments([
+        { _id: 'a', title: 'current' },
+        { _id: 'b', title: 'changed' },
+        { _id: 'c', title: 'new' }
+      ], indexedHashes, result);
+
+      expect(opensearchService.bulkIndex.mock.calls[0][0].map(document => document._id)).toEqual(['b', 'c']);
+      expect(result).toEqual({ checked: 3, missing: 1, stale: 1, reindexed: 1, errors: 1 });
+      expect(deadLetterQueue.add).toHaveBeenCalledWith([failure]);
+      expect(indexedHashes.size).toBe(0);
+    });
+  });
+
+  describe('streamIdDiff', () => {
+    // Sorted MongoDB _ids behind a find() cursor and indexed mongo_ids served a
+    // page at a time by search_after, as they would be without PIT support
+    function createDiffService(mongoIds, indexedIds) {
+      const cursor = {
+        sort: jest.fn(() => cursor),
+        batchSize: jest.fn(() => cursor),
+        close: jest.fn(async () => {}),
+        [Symbol.asyncIterator]: async function* ids() {
+          for (const id of mongoIds) {
+            yield { _id: { toString: () => id } };
+          }
+        }
+      };
+      const client = {
+        createPit: jest.fn(async () => { throw new Error('no point in time support'); }),
+        search: jest.fn(async ({ body }) => {
+          const start = body.search_after ? indexedIds.indexOf(body.search_after[0]) + 1 : 0;
+          const hits = indexedIds.slice(start, start + body.size)
+            .map(id => ({ _id: id, _source: { mongo_id: id }, sort: [id] }));
+          return { body: { hits: { hits } } };
+        })
+      };
+      const service = new ReconciliationService(
+        { settings: { database: 'ads', collection: 'fb_ad' }, collection: { find: jest.fn(() => cursor) } },
+        { client, searchIndices: () => 'ads-read' }
+      );
+      return { service, cursor, client };
+    }
+
+    async function diff(service, chunkSize, scope) {
+      const entries = [];
+      for await (const entry of service.streamIdDiff(chunkSize, scope)) {
+        entries.push(entry);
+      }
+      return entries;
+    }
+
+    it('yields the ids missing from either side across page boundaries', async () => {
+      const { service, client } = createDiffService(
+        ['01', '02', '04', '05', '07', '08'],
+        ['00', '02', '03', '05', '06', '08', '09']
+      );
+
+      expect(await diff(service, 2)).toEqual([
+        { type: 'orphan', id: '00' },
+        { type: 'missing', id: '01' },
+        { type: 'orphan', id: '03' },
+        { type: 'missing', id: '04' },
+        { type: 'orphan', id: '06' },
+        { type: 'missing', id: '07' },
+        { type: 'orphan', id: '09' }
+      ]);
+      expect(client.search).toHaveBeenCalledTimes(5);
+    });
+
+    it('reports every id as missing when nothing is indexed, and the other way round', async () => {
+      expect(await diff(createDiffService(['01', '02'], []).service)).toEqual([
+        { type: 'missing', id: '01' },
+        { type: 'missing', id: '02' }
+      ]);
+      expect(await diff(createDiffService([], ['01']).service)).toEqual([{ type: 'orphan', id: '01' }]);
+    });
+
+    it('applies the scope to both sides and closes both streams when the caller stops early', async () => {
+      const { service, cursor, client } = createDiffService(['01', '02', '03'], []);
+      const scope = { filter: { is_active: true }, opensearchFilter: { term: { is_active: true } } };
+
+      for await (const entry of service.streamIdDiff(1000, scope)) {
+        expect(entry).toEqual({ type: 'missing', id: '01' });
+        break;
+      }
+
+      expect(service.mongodbService.collection.find).toHaveBeenCalledWith({ is_active: true }, { projection: { _id: 1 } });
+      expect(client.search.mock.calls[0][0].body.query).toEqual({ term: { is_active: true } });
+      expect(cursor.close).toHaveBeenCalled();
+    });
+
+    it('syncs the missing documents it streams and only counts the orphans', async () => {
+      const { service } = createDiffService([], []);
+      service.streamIdDiff = async function* streamIdDiff() {
+        yield { type: 'missing', id: '01' };
+        yield { type: 'orphan', id: '02' };
+        yield { type: 'missing', id: '03' };
+      };
+      service.syncDocumentsByIds = jest.fn(async ids => ids.length);
+
+      const result = await service.syncMissingDocuments();
+
+      expect(service.syncDocumentsByIds).toHaveBeenCalledTimes(1);
+      expect(service.syncDocumentsByIds.mock.calls[0][0]).toEqual(['01', '03']);
+      expect(result).toMatchObject({ success: true, synced: 2, missingCount: 2, orphanCount: 1, cancelled: false });
+    });
+  });
+
+  describe('reconcileContent', () => {
+    // Indexed documents as { id: hash }; searches honour the mongo_id range in
+    // the query's filter and return everything on the first page
+    function stubIndex(indexed) {
+      return jest.fn(async ({ body }) => {
+        if (body.search_after) {
+          return { body: { hits: { hits: [] } } };
+        }
+        const clause = body.query.bool.filter[0];
+        const range = clause.range ? clause.range.mongo_id : {};
+        const hits = Object.keys(indexed).sort()
+          .filter(id => (range.gt === undefined || id > range.gt) && (range.gte === undefined || id >= range.gte) &&
+            (range.lt === undefined || id < range.lt) && (range.lte === undefined || id <= range.lte))
+          .map(id => ({ _id: id, _source: { source_hash: indexed[id] }, sort: [id] }));
+        return { body: { hits: { hits } } };
+      });
+    }
+
+    function createContentService(documents, indexed, inScope = []) {
+      const chunks = [];
+      const collection = {
+        countDocuments: jest.fn(async () => documents.length),
+        find: jest.fn((filter) => {
+          const after = filter.$and ? filter.$and[1]._id.$gt : null;
+          const cursor = {
+            sort: () => cursor,
+            limit: (limit) => {
+              chunks.push(after);
+              cursor.rows = documents.filter(document => after === null || document._id > after).slice(0, limit);
+              return cursor;
+            },
+            toArray: async () => cursor.rows
+          };
+          return cursor;
+        })
+      };
+      const mongodbService = {
+        settings: { database: 'ads', collection: 'fb_ad' },
+        collection,
+        findDocumentsByIds: jest.fn(async ids => ids.filter(id => inScope.includes(id)).map(id => ({ _id: id })))
+      };
+      const opensearchService = {
+        client: { search: stubIndex(indexed) },
+        searchIndices: () => ['ads'],
+        buildDocument: document => ({ source_hash: `hash-${document._id}` }),
+        bulkIndex: jest.fn(async docs => ({ errors: 0, failedItems: [], processed: docs.length }))
+      };
+      return new ReconciliationService(mongodbService, opensearchService);
+    }
+
+    it('bounds every hash lookup to its chunk and counts orphans on both sides of the MongoDB span', async () => {
+      const documents = ['b', 'c', 'd', 'e'].map(id => ({ _id: id }));
+      const service = createContentService(documents, {
+        a: 'hash-a', b: 'hash-b', c: 'stale', cc: 'hash-cc', e: 'hash-e', f: 'hash-f'
+      });
+      const bucket = { term: { countrySearchedfor: 'US' } };
+
+      const result = await service.reconcileContent({ chunkSize: 2, opensearchFilter: bucket });
+
+      expect(result).toMatchObject({ checked: 4, missing: 1, stale: 1, orphaned: 3, reindexed: 2 });
+      const queries = service.opensearchService.client.search.mock.calls
+        .filter(([{ body }]) => !body.search_after)
+        .map(([{ body }]) => body.query.bool.filter);
+      for (const filter of queries) {
+        expect(filter).toHaveLength(2);
+        expect(filter[1]).toBe(bucket);
+        expect(filter[0].range.mongo_id).toBeDefined();
+      }
+      expect(queries.filter(([clause]) => clause.range.mongo_id.lte).map(([clause]) => clause.range.mongo_id))
+        .toEqual([{ gte: 'b', lte: 'c' }, { gt: 'c', lte: 'e' }]);
+    });
+
+    it('does not count indexed documents outside the MongoDB filter but in scope as orphans', async () => {
+      const service = createContentService([{ _id: 'b' }, { _id: 'd' }], {
+        b: 'hash-b', c: 'hash-c', d: 'hash-d'
+      }, ['c']);
+
+      const result = await service.reconcileContent({ chunkSize: 10, opensearchFilter: { term: { is_active: true } } });
+
+      expect(result).toMatchObject({ checked: 2, orphaned: 0, inSync: true });
+    });
+  });
+});
@@ -0,0 +1,50 @@
+const SyncScope = require('../syncScope');
+
+describe('SyncScope', () => {
+  describe('matches', () => {
+    it('treats null as a missing field', () => {
+      const scope = new SyncScope({ page_is_deleted: null });
+
+      expect(scope.matches({})).toBe(true);
+      expect(scope.matches({ page_is_deleted: null })).toBe(true);
+      expect(scope.matches({ page_is_deleted: false })).toBe(false);
+    });
+
+    it('matches array fields by any element or the whole array', () => {
+      expect(new SyncScope({ countries: 'US' }).matches({ countries: ['GB', 'US'] })).toBe(true);
+      expect(new SyncScope({ countries: ['GB', 'US'] }).matches({ countries: ['GB', 'US'] })).toBe(true);
+      expect(new SyncScope({ countries: { nin: ['US'] } }).matches({ countries: ['GB', 'US'] })).toBe(false);
+    });
+
+    it('follows dotted paths through arrays of documents', () => {
+      const document = { cards: [{ link: 'a' }, { link: 'b', tags: ['x', 'y'] }, 'text'] };
+
+      expect(new SyncScope({ 'cards.link': 'b' }).matches(document)).toBe(true);
+      expect(new SyncScope({ 'cards.link': 'c' }).matches(document)).toBe(false);
+      expect(new SyncScope({ 'cards.tags': { in: ['y'] } }).matches(document)).toBe(true);
+      expect(new SyncScope({ 'cards.link': { ne: 'b' } }).matches(document)).toBe(false);
+      expect(new SyncScope({ 'cards.tags': { exists: true } }).matches(document)).toBe(true);
+      expect(new SyncScope({ 'cards.tags': null }).matches(document)).toBe(true);
+      expect(new SyncScope({ 'cards.1.link': 'b' }).matches(document)).toBe(true);
+      expect(new SyncScope({ 'cards.0.link': 'b' }).matches(document)).toBe(false);
+    });
+
+    it('does not look inside scalars', () => {
+      expect(new SyncScope({ 'page.id': { exists: false } }).matches({ page: 'id' })).toBe(true);
+    });
+  });
+
+  it('builds the matching MongoDB filter', () => {
+    const scope = new SyncScope({ is_active: true, 'cards.link': { in: ['a'] } });
+
+    expect(scope.mongoFilter({ _id: 1 })).toEqual({
+      $and: [{ is_active: true, 'cards.link': { $in: ['a'] } }, { _id: 1 }]
+    });
+    expect(scope.fields()).toEqual(['is_active', 'cards']);
+  });
+
+  it('rejects unknown conditions', () => {
+    expect(() => new SyncScope({ is_active: { gt: 1 } })).toThrow('Unknown sync scope condition for is_active');
+    expect(() => new SyncScope({ country: { in: 'US' } })).toThrow('Sync scope "in" for country needs an array of values');
+  });
+});
@@ -0,0 +1,83 @@
+const SyncService = require('../syncService');
+const logger = require('../../utils/logger');
+
+logger.silent = true;
+
+// A SyncService whose MongoDB, OpenSearch and checkpoint access is stubbed
+function createService() {
+  const service = new SyncService();
+  const checkpoints = new Map();
+  service.checkpointStore = {
+    load: jest.fn(async key => checkpoints.get(key) || null),
+    save: jest.fn(async (key, value) => { checkpoints.set(key, value); }),
+    clear: jest.fn(async (key) => { checkpoints.delete(key); })
+  };
+  service.deadLetterQueue = { add: jest.fn(async () => {}) };
+  return { service, checkpoints };
+}
+
+describe('SyncService', () => {
+  describe('performFullSync', () => {
+    it('dead-letters the documents OpenSearch refuses', async () => {
+      const { service } = createService();
+      const documents = [{ _id: 'a' }, { _id: 'b' }];
+      const failure = { id: 'b', index: 'ads', operation: 'upsert', status: 400, errorType: 'mapper_parsing_exception' };
+      service.mongodbService.collection = { countDocuments: jest.fn(async () => 2) };
+      service.mongodbService.findDocuments = jest.fn()
+        .mockResolvedValueOnce(documents)
+        .mockResolvedValue([]);
+      service.opensearchService.bulkIndex = jest.fn(async () => ({ errors: 1, versionConflicts: 0, failedItems: [failure] }));
+
+      const result = await service.performFullSync();
+
+      expect(result).toMatchObject({ success: true, processed: 2, errors: 1 });
+      expect(service.deadLetterQueue.add).toHaveBeenCalledWith([failure]);
+    });
+  });
+
+  describe('recoverFromLostResumeToken', () => {
+    const lastEventAt = new Date('2024-05-01T12:00:00Z');
+    const since = new Date('2024-05-01T11:55:00Z');
+
+    it('keeps the catch-up start until the catch-up completes', async () => {
+      const { service, checkpoints } = createService();
+      checkpoints.set(service.resumeCheckpointKey, { resumeToken: { _data: 'lost' }, lastEventAt });
+      service.startChangeStream = jest.fn(async () => {});
+      service.catchUpSince = jest.fn(async () => {
+        expect(checkpoints.get(service.catchUpCheckpointKey)).toEqual({ since });
+        throw new Error('connection reset');
+      });
+
+      await expect(service.recoverFromLostResumeToken()).rejects.toThrow('connection reset');
+
+      expect(checkpoints.has(service.resumeCheckpointKey)).toBe(false);
+      expect(service.startChangeStream).toHaveBeenCalled();
+      expect(service.catchUpSince).toHaveBeenCalledWith(since);
+      expect(checkpoints.get(service.catchUpCheckpointKey)).toEqual({ since });
+    });
+
+    it('resumes an interrupted catch-up from the same point and then clears it', async () => {
+      const { service, checkpoints } = createService();
+      checkpoints.set(service.catchUpCheckpointKey, { since });
+      service.catchUpSince = jest.fn(async () => ({ success: true, processed: 3 }));
+
+      await service.resumeCatchUp();
+
+      expect(service.catchUpSince).toHaveBeenCalledWith(since);
+      expect(checkpoints.has(service.catchUpCheckpointKey)).toBe(false);
+    });
+
+    it('does not move an unfinished catch-up forward when the token is lost again', async () => {
+      const { service, checkpoints } = createService();
+      checkpoints.set(service.catchUpCheckpointKey, { since });
+      checkpoints.set(service.resumeCheckpointKey, { resumeToken: { _data: 'lost' }, lastEventAt: new Date() });
+      service.startChangeStream = jest.fn(async () => {});
+      service.catchUpSince = jest.fn(async () => ({ success: true }));
+
+      await service.recoverFromLostResumeToken();
+
+      expect(service.catchUpSince).toHaveBeenCalledWith(since);
+      expect(checkpoints.has(service.catchUpCheckpointKey)).toBe(false);
+    });
+  });
+});
@@ -1,23 +1,74 @@
 const config = require('../config');
 const logger = require('../utils/logger');
+const metrics = require('../utils/metrics');
+
+const bulkRequestDuration = metrics.histogram(
+  'opensearch_sync_bulk_request_duration_seconds',
+  'Duration of OpenSearch _bulk requests, including failed attempts',
+  [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30]
+);
+const bulkBatchSize = metrics.histogram(
+  'opensearch_sync_bulk_batch_size',
+  'Number of documents per OpenSearch _bulk request',
+  [1, 10, 50, 100, 250, 500, 1000, 2500, 5000]
+);
+
+// Applies a partial update ({ _id, ...changed fields } plus unset field names)
+// to a whole document
+function applyUpdate(document, update, unset = []) {
+  const result = { ...document, ...update };
+  for (const name of unset) {
+    delete result[name];
+  }
+  return result;
+}
 
 class BulkProcessor {
-  constructor(opensearchService) {
+  // options.settings overrides the SYNC_* batch and queue settings;
+  // options.name labels this processor's metrics. options.fetchDocuments(ids)
+  // loads the current source documents for partial updates of documents that
+  // turn out not to be indexed.
+  constructor(opensearchService, options = {}) {
+    const settings = { ...config.sync, ...options.settings };
     this.opensearchService = opensearchService;
-    this.batchSize = config.sync.batchSize;
-    this.batchSizeBytes = config.sync.batchSizeBytes;
-    this.concurrency = config.sync.concurrency;
+    this.metricLabels = { pipeline: options.name || 'default' };
+    this.onBatchProcessed = options.onBatchProcessed || null;
+    this.deadLetterQueue = options.deadLetterQueue || null;
+    this.fetchDocuments = options.fetchDocuments || null;
+    this.maxAttempts = config.deadLetter.maxAttempts;
+    this.batchSize = settings.batchSize;
+    this.batchSizeBytes = settings.batchSizeBytes;
+    this.concurrency = settings.concurrency;
+    this.intervalMs = settings.intervalMs;
+    // Producers wait in waitForCapacity() while the queue is over either limit
+    this.maxQueueDepth = settings.maxQueueDepth;
+    this.maxQueueBytes = settings.maxQueueBytes;
+    this.paused = false;
     this.queue = [];
-    this.processing = false;
+    this.queueBytes = 0;
+    // The queued (not yet sent) item for each document id
+    this.queuedById = new Map();
+    this.nextSeq = 0;
+    // Batches currently being sent, and the document ids they contain
+    this.inFlight = new Map();
+    this.inFlightIds = new Map();
+    // Indexed items waiting for every earlier item to finish before being reported
+    this.completed = [];
+    this.commitChain = Promise.resolve();
     this.stats = {
       processed: 0,
       errors: 0,
+      deadLettered: 0,
+      versionConflicts: 0,
+      coalesced: 0,
+      pauses: 0,
+      lastPausedAt: null,
       lastProcessed: null
     };
   }
 
-  async addDocument(document, operation = 'upsert') {
-    this.queue.push({ document, operation });
+  async addDocument(document, operation = 'upsert', meta = {}) {
+    this.enqueue({ document, operation, ...meta });
     
     // Process if queue reaches batch size
     if (this.queue.length >= this.batchSize) {
@@ -27,7 +78,7 @@ class BulkProcessor {
 
   async addDocuments(documents, operation = 'upsert') {
     for (const doc of documents) {
-      this.queue.push({ document: doc, operation });
+      this.enqueue({ document: doc, operation });
     }
     
     // Process if queue reaches batch size
@@ -36,18 +87,219 @@ class BulkProcessor {
     }
   }
 
-  async processBatch() {
-    if (this.processing || this.queue.length === 0) {
+  // A later event for a document that is still queued replaces the queued one:
+  // a delete supersedes an earlier upsert and an upsert after a delete brings the
+  // document back. A partial update is merged into the queued change instead.
+  // The replacement takes the newer sequence number, so the resume token of the
+  // superseded event is only checkpointed with it.
+  enqueue(item) {
+    item.seq = this.nextSeq++;
+
+    const id = item.document._id.toString();
+    const queued = this.queuedById.get(id);
+    if (queued) {
+      this.removeFromQueue(queued);
+      this.mergeUpdate(queued, item);
+      this.keepPlacement(queued, item);
+      this.stats.coalesced++;
+    }
+    item.size = this.estimateDocumentSize(item.document);
+
+    this.queue.push(item);
+    this.queueBytes += item.size;
+    this.queuedById.set(id, item);
+  }
+
+  // Folds an earlier change into a later partial update of the same document,
+  // so the fields the earlier change wrote aren't lost with it
+  mergeUpdate(earlier, later) {
+    if (later.operation !== 'update') {
       return;
     }
 
-    this.processing = true;
-    const batch = this.queue.splice(0, this.batchSize);
-    
+    if (earlier.operation === 'upsert') {
+      later.operation = 'upsert';
+      later.document = later.source || applyUpdate(earlier.document, later.document, later.unset);
+      delete later.unset;
+      delete later.source;
+    } else if (earlier.operation === 'update') {
+      const unset = (earlier.unset || []).filter(name => !(name in later.document));
+      later.source = later.source || (earlier.source ? applyUpdate(earlier.source, later.document, later.unset) : null);
+      later.document = applyUpdate(earlier.document, later.document, later.unset);
+      later.unset = [...new Set([...unset, ...(later.unset || [])])];
+    }
+  }
+
+  // The index still holds the document as the superseded change found it, so
+  // its pre-image (or its being new) carries over to the replacement
+  keepPlacement(earlier, later) {
+    later.previous = earlier.previous;
+    later.isNew = earlier.isNew;
+  }
+
+  removeFromQueue(item) {
+    const position = this.queue.indexOf(item);
+    if (position !== -1) {
+      this.queue.splice(position, 1);
+      this.queueBytes -= item.size;
+    }
+  }
+
+  isOverCapacity() {
+    return this.queue.length >= this.maxQueueDepth || this.queueBytes >= this.maxQueueBytes;
+  }
+
+  // Resolves once the queue is back under its limits, draining it meanwhile.
+  // While OpenSearch is slow or unavailable this keeps the caller waiting
+  // instead of letting the queue grow without bound.
+  async waitForCapacity() {
+    if (!this.isOverCapacity()) {
+      return;
+    }
+
+    this.paused = true;
+    this.stats.pauses++;
+    this.stats.lastPausedAt = new Date();
+    logger.warn(`Bulk queue is full (${this.queue.length} documents, ${this.queueBytes} bytes), pausing intake`);
+
+    try {
+      while (this.isOverCapacity()) {
+        await this.processBatch();
+
+        if (this.isOverCapacity() && this.inFlight.size > 0) {
+          await Promise.race([...this.inFlight.values()].map(({ task }) => task));
+        }
+      }
+    } finally {
+      this.paused = false;
+    }
+
+    logger.info('Bulk queue has capacity again, resuming intake');
+  }
+
+  // Puts retried items back in their original (sequence) position, unless a
+  // newer event for the same document was queued while they were in flight
+  requeue(items) {
+    const retained = [];
+
+    for (const item of items) {
+      const id = item.document._id.toString();
+      const queued = this.queuedById.get(id);
+      if (queued && queued.seq > item.seq) {
+        // A partial update queued meanwhile still needs what this item wrote
+        if (queued.operation === 'update') {
+          this.queueBytes -= queued.size;
+          this.mergeUpdate(item, queued);
+          queued.size = this.estimateDocumentSize(queued.document);
+          this.queueBytes += queued.size;
+        }
+        this.keepPlacement(item, queued);
+        this.stats.coalesced++;
+        continue;
+      }
+      retained.push(item);
+      this.queuedById.set(id, item);
+    }
+
+    if (retained.length === 0) {
+      return;
+    }
+    this.queue = [...retained, ...this.queue].sort((a, b) => a.seq - b.seq);
+    this.queueBytes += retained.reduce((total, item) => total + item.size, 0);
+  }
+
+  // Starts as many batches as free worker slots allow and waits for them
+  async processBatch() {
+    const running = [];
+
+    while (this.inFlight.size < this.concurrency && this.queue.length > 0) {
+      const batch = this.cutBatch();
+      if (batch.length === 0) {
+        // Everything left belongs to documents that are already in flight
+        break;
+      }
+      running.push(this.runBatch(batch));
+    }
+
+    await Promise.all(running);
+  }
+
+  // Takes the next batch off the queue, bounded by count and bytes. Items for a
+  // document that is in flight (or was skipped earlier in this scan) stay queued,
+  // so the same _id is never sent by two concurrent requests.
+  cutBatch() {
+    const batch = [];
+    const remaining = [];
+    const skippedIds = new Set();
+    let batchBytes = 0;
+
+    for (const item of this.queue) {
+      const id = item.document._id.toString();
+      const full = batch.length >= this.batchSize ||
+        (batch.length > 0 && batchBytes + item.size > this.batchSizeBytes);
+
+      if (full || this.inFlightIds.has(id) || skippedIds.has(id)) {
+        skippedIds.add(id);
+        remaining.push(item);
+        continue;
+      }
+
+      batch.push(item);
+      batchBytes += item.size;
+      this.queuedById.delete(id);
+    }
+
+    this.queue = remaining;
+    this.queueBytes -= batchBytes;
+    return batch;
+  }
+
+  async runBatch(batch) {
+    const batchId = batch[0].seq;
+    const task = this.sendBatch(batch);
+
+    this.inFlight.set(batchId, { batch, task });
+    for (const item of batch) {
+      const id = item.document._id.toString();
+      this.inFlightIds.set(id, (this.inFlightIds.get(id) || 0) + 1);
+    }
+
     try {
-      await this.processBatchWithRetry(batch);
-      this.stats.processed += batch.length;
+      await task;
+    } finally {
+      this.inFlight.delete(batchId);
+      for (const item of batch) {
+        const id = item.document._id.toString();
+        const count = this.inFlightIds.get(id) - 1;
+        if (count > 0) {
+          this.inFlightIds.set(id, count);
+        } else {
+          this.inFlightIds.delete(id);
+        }
+      }
+    }
+
+    await this.commitCompleted();
+  }
+
+  async sendBatch(batch) {
+    try {
+      let requeue;
+      try {
+        const results = await this.processBatchWithRetry(batch);
+        requeue = await this.handleFailedItems(batch, results.failedItems);
+      } catch (error) {
+        if (this.isTransientError(error)) {
+          throw error;
+        }
+        logger.warn(`Batch of ${batch.length} documents rejected, isolating failing documents:`, error.message);
+        requeue = await this.isolateFailures(batch, error);
+      }
+
+      this.stats.processed += batch.length - requeue.length;
       this.stats.lastProcessed = new Date();
+      this.requeue(requeue);
+      this.completed.push(...batch.filter(item => !requeue.includes(item)));
       
       logger.info(`Processed batch of ${batch.length} documents`);
     } catch (error) {
@@ -55,9 +307,171 @@ class BulkProcessor {
       logger.error(`Failed to process batch of ${batch.length} documents:`, error);
       
       // Re-queue failed documents for retry
-      this.queue.unshift(...batch);
-    } finally {
-      this.processing = false;
+      this.requeue(batch);
+    }
+  }
+
+  // Reports completed items once nothing older is still queued or in flight,
+  // so a checkpoint never skips past a document that has not been indexed
+  async commitCompleted() {
+    const pendingSeqs = [...this.inFlight.keys()];
+    if (this.queue.length > 0) {
+      pendingSeqs.push(this.queue[0].seq);
+    }
+    const lowWatermark = pendingSeqs.length > 0 ? Math.min(...pendingSeqs) : Infinity;
+
+    const ready = this.completed.filter(item => item.seq < lowWatermark).sort((a, b) => a.seq - b.seq);
+    if (ready.length === 0) {
+      return;
+    }
+    this.completed = this.completed.filter(item => item.seq >= lowWatermark);
+
+    this.commitChain = this.commitChain.then(() => this.notifyBatchProcessed(ready));
+    await this.commitChain;
+  }
+
+  // Dead-letters rejected documents and returns the items that should be retried
+  async handleFailedItems(batch, failedItems = []) {
+    if (failedItems.length === 0) {
+      return [];
+    }
+
+    const failuresById = new Map(failedItems.map(failure => [failure.id, failure]));
+    const requeue = [];
+    const deadLetters = [];
+    const missing = [];
+
+    batch.forEach((item, position) => {
+      const id = item.document._id.toString();
+      const failure = failuresById.get(id);
+      if (!failure) {
+        return;
+      }
+
+      // A later event for the same document in this batch already superseded it
+      const superseded = batch.slice(position + 1).some(later => later.document._id.toString() === id);
+      if (superseded) {
+        return;
+      }
+
+      if (item.operation === 'update' && failure.errorType === 'document_missing_exception') {
+        missing.push(item);
+        return;
+      }
+
+      item.attempts = (item.attempts || 0) + 1;
+      if (this.isRetryableStatus(failure.status) && item.attempts < this.maxAttempts) {
+        requeue.push(item);
+      } else {
+        deadLetters.push({ ...failure, operation: item.operation, attempts: item.attempts });
+      }
+    });
+
+    await this.deadLetter(deadLetters);
+    requeue.push(...await this.resolveMissingUpdates(missing));
+    return requeue;
+  }
+
+  // A partial update can only change a document that is already indexed. The
+  // others are re-queued as upserts of the whole document; one that no longer
+  // exists (or is out of scope) has nothing to index.
+  async resolveMissingUpdates(items) {
+    if (items.length === 0) {
+      return [];
+    }
+
+    const unknown = items.filter(item => !item.source).map(item => item.document._id.toString());
+    const fetched = unknown.length > 0 && this.fetchDocuments
+      ? await this.fetchDocuments(unknown)
+      : [];
+    const documentsById = new Map(fetched.map(document => [document._id.toString(), document]));
+
+    const upserts = [];
+    for (const item of items) {
+      const document = item.source || documentsById.get(item.document._id.toString());
+      if (!document) {
+        continue;
+      }
+      item.operation = 'upsert';
+      item.document = document;
+      item.size = this.estimateDocumentSize(document);
+      delete item.unset;
+      delete item.source;
+      upserts.push(item);
+    }
+
+    logger.debug(`Resolved ${items.length} partial updates of unindexed documents (${upserts.length} re-queued as upserts)`);
+    return upserts;
+  }
+
+  // Splits a batch rejected as a whole until the offending documents are found
+  async isolateFailures(batch, error) {
+    if (batch.length === 1) {
+      const [item] = batch;
+      await this.deadLetter([{
+        id: item.document._id.toString(),
+        operation: item.operation,
+        status: error.statusCode || null,
+        errorType: (error.body && error.body.error && error.body.error.type) || error.name,
+        errorReason: error.message,
+        attempts: (item.attempts || 0) + 1
+      }]);
+      return [];
+    }
+
+    const middle = Math.ceil(batch.length / 2);
+    const requeue = [];
+
+    for (const half of [batch.slice(0, middle), batch.slice(middle)]) {
+      try {
+        const results = await this.processBatchWithRetry(half);
+        requeue.push(...await this.handleFailedItems(half, results.failedItems));
+      } catch (halfError) {
+        if (this.isTransientError(halfError)) {
+          requeue.push(...half);
+        } else {
+          requeue.push(...await this.isolateFailures(half, halfError));
+        }
+      }
+    }
+
+    return requeue;
+  }
+
+  async deadLetter(entries) {
+    if (entries.length === 0) {
+      return;
+    }
+
+    this.stats.deadLettered += entries.length;
+
+    if (!this.deadLetterQueue) {
+      logger.error(`Dropping ${entries.length} documents that failed to index (no dead-letter queue):`, entries);
+      return;
+    }
+
+    await this.deadLetterQueue.add(entries);
+  }
+
+  // Connection problems, throttling and server errors are worth retrying as-is
+  isTransientError(error) {
+    return !error.statusCode || this.isRetryableStatus(error.statusCode);
+  }
+
+  isRetryableStatus(status) {
+    return status === 429 || status >= 500;
+  }
+
+  async notifyBatchProcessed(batch) {
+    if (!this.onBatchProcessed || batch.length === 0) {
+      return;
+    }
+
+    // A failing hook must not re-queue a batch that was already indexed
+    try {
+      await this.onBatchProcessed(batch);
+    } catch (error) {
+      logger.error('Batch processed hook failed:', error);
     }
   }
 
@@ -66,28 +480,28 @@ class BulkProcessor {
     
     for (let attempt = 1; attempt <= maxRetries; attempt++) {
       try {
-        const documents = batch
-          .filter(item => item.operation !== 'delete')
-          .map(item => item.document);
-        
-        const deleteIds = batch
-          .filter(item => item.operation === 'delete')
-          .map(item => item.document._id.toString());
+        // Upserts, updates and deletes go out in one request, in queue order
+        bulkBatchSize.observe(batch.length, this.metricLabels);
+        const result = await bulkRequestDuration.time(() => this.opensearchService.bulkWrite(batch.map(item => ({
+          operation: item.operation,
+          document: item.document,
+          routing: item.routing,
+          unset: item.unset,
+          source: item.source,
+          previous: item.previous,
+          isNew: item.isNew
+        }))), this.metricLabels);
 
-        // Process upserts
-        if (documents.length > 0) {
-          await this.opensearchService.bulkIndex(documents);
-        }
-
-        // Process deletes
-        for (const docId of deleteIds) {
-          await this.opensearchService.deleteDocument(docId);
-        }
-
-        return; // Success
+        this.stats.versionConflicts += result.versionConflicts || 0;
+        return { failedItems: result.failedItems || [] }; // Success
       } catch (error) {
         lastError = error;
         logger.warn(`Batch processing attempt ${attempt} failed:`, error.message);
+
+        // Retrying a request OpenSearch rejected as invalid won't change the outcome
+        if (!this.isTransientError(error)) {
+          break;
+        }
         
         if (attempt < maxRetries) {
           // Exponential backoff
@@ -101,8 +515,13 @@ class BulkProcessor {
   }
 
   async flush() {
-    while (this.queue.length > 0) {
+    while (this.queue.length > 0 || this.inFlight.size > 0) {
       await this.processBatch();
+
+      // Batches started elsewhere may hold the slots or the remaining documents
+      if (this.inFlight.size > 0) {
+        await Promise.race([...this.inFlight.values()].map(({ task }) => task));
+      }
     }
   }
 
@@ -111,7 +530,7 @@ class BulkProcessor {
       if (this.queue.length > 0) {
         await this.processBatch();
       }
-    }, config.sync.intervalMs);
+    }, this.intervalMs);
     
     logger.info('Started periodic batch processing');
   }
@@ -120,7 +539,13 @@ class BulkProcessor {
     return {
       ...this.stats,
       queueSize: this.queue.length,
-      processing: this.processing
+      queueBytes: this.queueBytes,
+      maxQueueDepth: this.maxQueueDepth,
+      maxQueueBytes: this.maxQueueBytes,
+      paused: this.paused,
+      inFlightBatches: this.inFlight.size,
+      concurrency: this.concurrency,
+      processing: this.inFlight.size > 0
     };
   }
 
@@ -128,35 +553,6 @@ class BulkProcessor {
   estimateDocumentSize(document) {
     return Buffer.byteLength(JSON.stringify(document), 'utf8');
   }
-
-  // Method to split large documents into smaller batches
-  splitLargeBatch(documents) {
-    const batches = [];
-    let currentBatch = [];
-    let currentBatchSize = 0;
-
-    for (const doc of documents) {
-      const docSize = this.estimateDocumentSize(doc);
-      
-      if (currentBatchSize + docSize > this.batchSizeBytes || 
-          currentBatch.length >= this.batchSize) {
-        if (currentBatch.length > 0) {
-          batches.push(currentBatch);
-          currentBatch = [];
-          currentBatchSize = 0;
-        }
-      }
-      
-      currentBatch.push(doc);
-      currentBatchSize += docSize;
-    }
-    
-    if (currentBatch.length > 0) {
-      batches.push(currentBatch);
-    }
-    
-    return batches;
-  }
 }
 
 module.exports = BulkProcessor;
@@ -0,0 +1,53 @@
+const config = require('../config');
+const logger = require('../utils/logger');
+
+// Small key/value store for durable sync checkpoints, kept in a MongoDB
+// collection next to the source data so it survives restarts and redeploys.
+class CheckpointStore {
+  constructor(mongodbService) {
+    this.mongodbService = mongodbService;
+    this.collectionName = config.sync.checkpointCollection;
+    this.collection = null;
+  }
+
+  getCollection() {
+    if (!this.collection) {
+      this.collection = this.mongodbService.db.collection(this.collectionName);
+    }
+    return this.collection;
+  }
+
+  async load(key) {
+    try {
+      const checkpoint = await this.getCollection().findOne({ _id: key });
+      return checkpoint ? checkpoint.value : null;
+    } catch (error) {
+      logger.error(`Failed to load checkpoint ${key}:`, error);
+      throw error;
+    }
+  }
+
+  async save(key, value) {
+    try {
+      await this.getCollection().updateOne(
+        { _id: key },
+        { $set: { value, updatedAt: new Date() } },
+        { upsert: true }
+      );
+    } catch (error) {
+      logger.error(`Failed to save checkpoint ${key}:`, error);
+      throw error;
+    }
+  }
+
+  async clear(key) {
+    try {
+      await this.getCollection().deleteOne({ _id: key });
+    } catch (error) {
+      logger.error(`Failed to clear checkpoint ${key}:`, error);
+      throw error;
+    }
+  }
+}
+
+module.exports = CheckpointStore;
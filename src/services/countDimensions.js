@@ -0,0 +1,137 @@
+// Dimensions the count monitor can group documents by. Each one describes the
+// same grouping three ways: a MongoDB aggregation expression, an OpenSearch
+// composite aggregation source, and the queries selecting a single bucket on
+// either side. Bucket keys are strings; documents without a value fall in
+// MISSING_BUCKET. Dimensions that group by a stored value turn a key back into
+// that value (mongoValue), so a bucket is selected by an indexable equality.
+const MISSING_BUCKET = '__missing__';
+
+// Documents whose page_id ends in the same digits share a bucket
+const PAGE_ID_BUCKET_DIGITS = 2;
+
+// The page_id bucket in Painless, exactly as the MongoDB expression computes it
+const PAGE_ID_SUFFIX = "String id = doc['page_id'].value; " +
+  'String suffix = id.length() <= params.digits ? id : id.substring(id.length() - params.digits);';
+
+const missingQuery = (field) => ({ bool: { must_not: { exists: { field } } } });
+
+const DIMENSIONS = {
+  countrySearchedfor: {
+    field: 'countrySearchedfor',
+    mongoExpression: '$countrySearchedfor',
+    mongoValue: (key) => key,
+    opensearchSource: { terms: { field: 'countrySearchedfor' } },
+    opensearchQuery: (key) => ({ term: { countrySearchedfor: key } })
+  },
+
+  is_active: {
+    field: 'is_active',
+    mongoExpression: '$is_active',
+    mongoValue: (key) => (key === 'true' || key === 'false' ? key === 'true' : key),
+    opensearchSource: { terms: { field: 'is_active' } },
+    // Boolean keys may come back as true/false or 1/0
+    opensearchKey: (key) => String(key === true || key === 1 || key === 'true'),
+    opensearchQuery: (key) => ({ term: { is_active: key === 'true' } })
+  },
+
+  page_id: {
+    field: 'page_id',
+    mongoExpression: {
+      $let: {
+        vars: { id: { $toString: '$page_id' } },
+        in: {
+          $cond: [
+            { $eq: ['$$id', null] },
+            null,
+            {
+              $substrCP: [
+                '$$id',
+                { $max: [0, { $subtract: [{ $strLenCP: '$$id' }, PAGE_ID_BUCKET_DIGITS] }] },
+                PAGE_ID_BUCKET_DIGITS
+              ]
+            }
+          ]
+        }
+      }
+    },
+    opensearchSource: {
+      terms: {
+        script: {
+          source: `if (doc['page_id'].size() == 0) { return null; } ${PAGE_ID_SUFFIX} return suffix;`,
+          params: { digits: PAGE_ID_BUCKET_DIGITS }
+        }
+      }
+    },
+    opensearchQuery: (key) => ({
+      script: {
+        script: {
+          source: `if (doc['page_id'].size() == 0) { return false; } ${PAGE_ID_SUFFIX} return suffix == params.key;`,
+          params: { digits: PAGE_ID_BUCKET_DIGITS, key }
+        }
+      }
+    })
+  },
+
+  scrape_day: {
+    field: 'scraped_at',
+    mongoExpression: {
+      $dateToString: {
+        format: '%Y-%m-%d',
+        date: { $convert: { input: '$scraped_at', to: 'date', onError: null, onNull: null } },
+        onNull: null
+      }
+    },
+    opensearchSource: {
+      date_histogram: { field: 'scraped_at', calendar_interval: 'day', format: 'yyyy-MM-dd' }
+    },
+    opensearchQuery: (key) => ({
+      range: { scraped_at: { gte: key, lt: `${key}||+1d`, format: 'yyyy-MM-dd' } }
+    })
+  }
+};
+
+function getDimension(name) {
+  const dimension = DIMENSIONS[name];
+  if (!dimension) {
+    throw new Error(`Unknown count dimension "${name}" (use ${Object.keys(DIMENSIONS).join(', ')})`);
+  }
+  return dimension;
+}
+
+function bucketKey(value) {
+  return value === null || value === undefined ? MISSING_BUCKET : String(value);
+}
+
+// MongoDB filter selecting the documents of one bucket; only computed buckets
+// (page_id suffix, scrape day) need an expression
+function mongoBucketFilter(name, key) {
+  const dimension = getDimension(name);
+  const value = key === MISSING_BUCKET ? null : key;
+  if (dimension.mongoValue) {
+    return { [dimension.field]: value === null ? null : dimension.mongoValue(value) };
+  }
+  return {
+    $expr: {
+      $eq: [
+        { $toString: dimension.mongoExpression },
+        value
+      ]
+    }
+  };
+}
+
+// OpenSearch query selecting the documents of one bucket
+function opensearchBucketQuery(name, key) {
+  const dimension = getDimension(name);
+  return key === MISSING_BUCKET ? missingQuery(dimension.field) : dimension.opensearchQuery(key);
+}
+
+module.exports = {
+  DIMENSIONS,
+  MISSING_BUCKET,
+  missingQuery,
+  getDimension,
+  bucketKey,
+  mongoBucketFilter,
+  opensearchBucketQuery
+};
@@ -0,0 +1,168 @@
+const config = require('../config');
+const logger = require('../utils/logger');
+
+// MongoDB-backed store for documents OpenSearch refused to index, so a single
+// bad document neither blocks the bulk queue nor disappears silently.
+class DeadLetterQueue {
+  constructor(mongodbService, opensearchService, collectionName = config.deadLetter.collection) {
+    this.mongodbService = mongodbService;
+    this.opensearchService = opensearchService;
+    this.collectionName = collectionName;
+    this.collection = null;
+  }
+
+  getCollection() {
+    if (!this.collection) {
+      this.collection = this.mongodbService.db.collection(this.collectionName);
+    }
+    return this.collection;
+  }
+
+  // entries: [{ id, operation, errorType, errorReason, status, attempts }];
+  // attempts is the caller's count of tries so far, so the stored count is the
+  // highest one reported
+  async add(entries) {
+    if (!entries || entries.length === 0) {
+      return 0;
+    }
+
+    const now = new Date();
+    const operations = entries.map(entry => ({
+      updateOne: {
+        filter: { _id: entry.id },
+        update: {
+          $set: {
+            operation: entry.operation,
+            errorType: entry.errorType || 'unknown',
+            errorReason: entry.errorReason || null,
+            status: entry.status || null,
+            lastFailedAt: now
+          },
+          $setOnInsert: { firstFailedAt: now },
+          $max: { attempts: entry.attempts || 1 }
+        },
+        upsert: true
+      }
+    }));
+
+    try {
+      await this.getCollection().bulkWrite(operations, { ordered: false });
+      logger.warn(`Dead-lettered ${entries.length} documents:`, entries.map(entry => ({
+        id: entry.id,
+        errorType: entry.errorType
+      })));
+      return entries.length;
+    } catch (error) {
+      logger.error('Failed to write dead-letter entries:', error);
+      throw error;
+    }
+  }
+
+  async list({ limit = 50, skip = 0, errorType } = {}) {
+    const filter = errorType ? { errorType } : {};
+
+    const [entries, total] = await Promise.all([
+      this.getCollection()
+        .find(filter)
+        .sort({ lastFailedAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .toArray(),
+      this.getCollection().countDocuments(filter)
+    ]);
+
+    return { entries, total, limit, skip };
+  }
+
+  async get(id) {
+    return this.getCollection().findOne({ _id: id });
+  }
+
+  async count() {
+    return this.getCollection().countDocuments();
+  }
+
+  // Re-indexes a dead-lettered document from its current MongoDB state
+  async retry(id) {
+    const entry = await this.get(id);
+    if (!entry) {
+      return { success: false, id, error: 'Dead-letter entry not found' };
+    }
+
+    try {
+      const [document] = await this.mongodbService.findDocumentsByIds([id]);
+
+      // If the source is gone, the only correct state is absence from the index
+      const operation = entry.operation === 'delete' || !document ? 'delete' : 'upsert';
+      const result = await this.opensearchService.bulkWrite([{
+        operation,
+        document: document || { _id: id }
+      }]);
+      const failure = result.failedItems && result.failedItems[0];
+
+      if (failure) {
+        await this.add([{ ...failure, operation: entry.operation, attempts: (entry.attempts || 0) + 1 }]);
+        return { success: false, id, error: failure.errorReason };
+      }
+
+      await this.remove(id);
+      logger.info(`Dead-letter entry ${id} retried successfully`);
+      return { success: true, id };
+    } catch (error) {
+      logger.error(`Failed to retry dead-letter entry ${id}:`, error);
+      await this.add([{
+        id,
+        operation: entry.operation,
+        errorType: 'retry_failed',
+        errorReason: error.message,
+        attempts: (entry.attempts || 0) + 1
+      }]);
+      return { success: false, id, error: error.message };
+    }
+  }
+
+  async retryAll({ limit = 1000, errorType } = {}) {
+    const filter = errorType ? { errorType } : {};
+    const entries = await this.getCollection()
+      .find(filter, { projection: { _id: 1 } })
+      .sort({ lastFailedAt: 1 })
+      .limit(limit)
+      .toArray();
+
+    let succeeded = 0;
+    let failed = 0;
+
+    for (const entry of entries) {
+      const result = await this.retry(entry._id);
+      if (result.success) {
+        succeeded++;
+      } else {
+        failed++;
+      }
+    }
+
+    logger.info(`Dead-letter retry completed: ${succeeded} succeeded, ${failed} failed`);
+    return { attempted: entries.length, succeeded, failed };
+  }
+
+  async remove(id) {
+    const result = await this.getCollection().deleteOne({ _id: id });
+    return result.deletedCount > 0;
+  }
+
+  async purge({ errorType, olderThan } = {}) {
+    const filter = {};
+    if (errorType) {
+      filter.errorType = errorType;
+    }
+    if (olderThan) {
+      filter.lastFailedAt = { $lt: new Date(olderThan) };
+    }
+
+    const result = await this.getCollection().deleteMany(filter);
+    logger.info(`Purged ${result.deletedCount} dead-letter entries`);
+    return result.deletedCount;
+  }
+}
+
+module.exports = DeadLetterQueue;
@@ -1,14 +1,34 @@
-const { MongoClient } = require('mongodb');
-const { Client } = require('@opensearch-project/opensearch');
 const config = require('../config');
 const logger = require('../utils/logger');
-
+const {
+  getDimension,
+  missingQuery,
+  bucketKey,
+  mongoBucketFilter,
+  opensearchBucketQuery
+} = require('./countDimensions');
+
+// Auto-heal strategies, cheapest first. A heal that leaves the gap open
+// escalates to the next one.
+const HEAL_STRATEGIES = ['recent-window', 'missing-ids', 'full-sync'];
+
+// Compares MongoDB and OpenSearch document counts on a schedule and, past the
+// threshold, heals the gap in-process. Uses the sync service's connections;
+// when a job manager is given each heal runs as a regular background job.
 class DocumentCountMonitor {
-  constructor() {
-    this.mongodbClient = null;
-    this.opensearchClient = null;
+  constructor(mongodbService, opensearchService, syncService, jobManager = null, reconciliationService = null) {
+    this.mongodbService = mongodbService;
+    this.opensearchService = opensearchService;
+    this.syncService = syncService;
+    this.jobManager = jobManager;
+    // Needed by the recent-window and missing-ids strategies
+    this.reconciliationService = reconciliationService;
+    this.healStrategy = config.countMonitor.healStrategy;
+    this.healInProgress = false;
     this.isRunning = false;
     this.checkInterval = null;
+    this.startupTimeout = null;
+    this.verificationTimeout = null;
     this.autoSyncEnabled = true; // Enable auto-sync by default
     this.autoSyncThreshold = 100; // Auto-sync if difference > 100 documents
     this.stats = {
@@ -16,44 +36,17 @@ class DocumentCountMonitor {
       mismatchesDetected: 0,
       autoSyncTriggered: 0,
       lastCheck: null,
+      lastCounts: null,
       lastMismatch: null,
-      lastAutoSync: null
+      lastAutoSync: null,
+      lastHeal: null
     };
   }
 
-  async initialize() {
-    try {
-      // Initialize MongoDB connection
-      this.mongodbClient = new MongoClient(config.mongodb.uri, {
-        maxPoolSize: 5,
-        serverSelectionTimeoutMS: 10000,
-        socketTimeoutMS: 30000
-      });
-      await this.mongodbClient.connect();
-      
-      // Initialize OpenSearch connection
-      this.opensearchClient = new Client({
-        node: config.opensearch.url,
-        auth: {
-          username: config.opensearch.username,
-          password: config.opensearch.password
-        },
-        ssl: config.opensearch.ssl
-      });
-
-      logger.info('Document count monitor initialized successfully');
-    } catch (error) {
-      logger.error('Failed to initialize document count monitor:', error);
-      throw error;
-    }
-  }
-
   async getMongoDBCount() {
     try {
-      const db = this.mongodbClient.db(config.mongodb.database);
-      const collection = db.collection(config.mongodb.collection);
-      const count = await collection.countDocuments();
-      return count;
+      // Only documents in the sync scope are expected in the index
+      return await this.mongodbService.collection.countDocuments(this.syncService.scope.mongoFilter());
     } catch (error) {
       logger.error('Failed to get MongoDB count:', error);
       throw error;
@@ -62,8 +55,8 @@ class DocumentCountMonitor {
 
   async getOpenSearchCount() {
     try {
-      const response = await this.opensearchClient.count({
-        index: config.opensearch.index
+      const response = await this.opensearchService.client.count({
+        index: this.opensearchService.searchIndices()
       });
       return response.body.count;
     } catch (error) {
@@ -72,20 +65,25 @@ class DocumentCountMonitor {
     }
   }
 
-  async performCountCheck() {
+  // options.autoHeal = false only reports, e.g. when verifying a heal
+  async performCountCheck(options = {}) {
     try {
       logger.info('Starting document count check...');
       
-      const [mongoCount, opensearchCount] = await Promise.all([
+      const [mongoCount, opensearchCount, dimensions] = await Promise.all([
         this.getMongoDBCount(),
-        this.getOpenSearchCount()
+        this.getOpenSearchCount(),
+        this.compareDimensions()
       ]);
 
       const difference = Math.abs(mongoCount - opensearchCount);
-      const isMatch = difference === 0;
+      // Per-bucket differences can cancel out in the totals
+      const bucketGap = Math.max(0, ...dimensions.map(dimension => dimension.gap || 0));
+      const isMatch = difference === 0 && bucketGap === 0;
 
       this.stats.checksPerformed++;
       this.stats.lastCheck = new Date();
+      this.stats.lastCounts = { mongodb: mongoCount, opensearch: opensearchCount, bucketGap };
 
       if (isMatch) {
         logger.info(`✅ Document count check passed: MongoDB=${mongoCount}, OpenSearch=${opensearchCount}`);
@@ -97,15 +95,19 @@ class DocumentCountMonitor {
           mongodb: mongoCount,
           opensearch: opensearchCount,
           difference: difference,
-          mongodbHigher: mongoCount > opensearchCount
+          mongodbHigher: mongoCount > opensearchCount,
+          divergingBuckets: dimensions
+            .filter(dimension => dimension.gap > 0)
+            .map(dimension => ({ dimension: dimension.dimension, gap: dimension.gap, top: dimension.diverging.slice(0, 5) }))
         });
 
         // Log detailed information about the mismatch
         await this.logDetailedMismatchInfo(mongoCount, opensearchCount);
 
         // Auto-sync if enabled and threshold exceeded
-        if (this.autoSyncEnabled && difference > this.autoSyncThreshold) {
-          await this.triggerAutoSync(difference, mongoCount, opensearchCount);
+        if (options.autoHeal !== false && this.autoSyncEnabled &&
+          (difference > this.autoSyncThreshold || bucketGap > this.autoSyncThreshold)) {
+          await this.triggerAutoSync(difference, mongoCount, opensearchCount, dimensions);
         }
       }
 
@@ -113,6 +115,8 @@ class DocumentCountMonitor {
         mongodb: mongoCount,
         opensearch: opensearchCount,
         difference: difference,
+        bucketGap,
+        dimensions,
         isMatch: isMatch,
         timestamp: this.stats.lastCheck,
         autoSyncTriggered: this.stats.autoSyncTriggered
@@ -124,24 +128,145 @@ class DocumentCountMonitor {
     }
   }
 
+  // Compares grouped counts for every configured dimension. A dimension that
+  // cannot be counted is reported with its error instead of failing the check.
+  async compareDimensions() {
+    const results = [];
+
+    for (const name of config.countMonitor.dimensions) {
+      try {
+        results.push(await this.compareBuckets(name));
+      } catch (error) {
+        logger.warn(`Failed to compare counts by ${name}:`, error.message);
+        results.push({ dimension: name, error: error.message, gap: 0, diverging: [] });
+      }
+    }
+
+    return results;
+  }
+
+  async compareBuckets(name) {
+    const dimension = getDimension(name);
+    const [mongoBuckets, osBuckets, osMissing] = await Promise.all([
+      this.mongodbService.collection.aggregate([
+        { $match: this.syncService.scope.mongoFilter() },
+        { $group: { _id: { $toString: dimension.mongoExpression }, count: { $sum: 1 } } }
+      ], { allowDiskUse: true }).toArray(),
+      this.opensearchBuckets(dimension),
+      this.opensearchService.client.count({
+        index: this.opensearchService.searchIndices(),
+        body: { query: missingQuery(dimension.field) }
+      })
+    ]);
+
+    const counts = new Map();
+    const bucketFor = (key) => {
+      if (!counts.has(key)) {
+        counts.set(key, { key, mongodb: 0, opensearch: 0 });
+      }
+      return counts.get(key);
+    };
+
+    for (const bucket of mongoBuckets) {
+      bucketFor(bucketKey(bucket._id)).mongodb += bucket.count;
+    }
+
+    for (const bucket of osBuckets) {
+      const key = dimension.opensearchKey ? dimension.opensearchKey(bucket.key.value) : String(bucket.key.value);
+      bucketFor(key).opensearch += bucket.doc_count;
+    }
+    if (osMissing.body.count > 0) {
+      bucketFor(bucketKey(null)).opensearch += osMissing.body.count;
+    }
+
+    const diverging = [...counts.values()]
+      .map(bucket => ({ ...bucket, difference: bucket.mongodb - bucket.opensearch }))
+      .filter(bucket => bucket.difference !== 0)
+      .sort((a, b) => Math.abs(b.difference) - Math.abs(a.difference));
+
+    return {
+      dimension: name,
+      buckets: counts.size,
+      gap: diverging.reduce((total, bucket) => total + Math.abs(bucket.difference), 0),
+      diverging
+    };
+  }
+
+  // Every OpenSearch bucket of a dimension, COUNT_MONITOR_BUCKET_LIMIT per
+  // request, so the comparison covers as many buckets as the MongoDB $group
+  async opensearchBuckets(dimension) {
+    const buckets = [];
+    let after = null;
+
+    while (true) {
+      const response = await this.opensearchService.client.search({
+        index: this.opensearchService.searchIndices(),
+        body: {
+          size: 0,
+          aggs: {
+            buckets: {
+              composite: {
+                size: config.countMonitor.bucketLimit,
+                sources: [{ value: dimension.opensearchSource }],
+                ...(after ? { after } : {})
+              }
+            }
+          }
+        }
+      });
+
+      const page = response.body.aggregations.buckets;
+      buckets.push(...page.buckets);
+      if (page.buckets.length < config.countMonitor.bucketLimit || !page.after_key) {
+        return buckets;
+      }
+      after = page.after_key;
+    }
+  }
+
+  // Narrows a heal to the buckets that diverge most, across all dimensions
+  buildHealTarget(dimensions = []) {
+    const buckets = dimensions
+      .flatMap(dimension => (dimension.diverging || []).map(bucket => ({
+        dimension: dimension.dimension,
+        key: bucket.key,
+        difference: bucket.difference
+      })))
+      .sort((a, b) => Math.abs(b.difference) - Math.abs(a.difference))
+      .slice(0, config.countMonitor.healMaxBuckets);
+
+    if (buckets.length === 0) {
+      return null;
+    }
+
+    return {
+      buckets,
+      filter: { $or: buckets.map(bucket => mongoBucketFilter(bucket.dimension, bucket.key)) },
+      opensearchFilter: {
+        bool: {
+          should: buckets.map(bucket => opensearchBucketQuery(bucket.dimension, bucket.key)),
+          minimum_should_match: 1
+        }
+      }
+    };
+  }
+
   async logDetailedMismatchInfo(mongoCount, opensearchCount) {
     try {
       // Get sample documents from MongoDB
-      const db = this.mongodbClient.db(config.mongodb.database);
-      const collection = db.collection(config.mongodb.collection);
-      
-      const sampleDocs = await collection.find({}).limit(5).toArray();
+      const sampleDocs = await this.mongodbService.collection.find({}).limit(5).toArray();
       const sampleIds = sampleDocs.map(doc => doc._id.toString());
 
       // Check if sample documents exist in OpenSearch
       const opensearchExists = await Promise.all(
         sampleIds.map(async (id) => {
           try {
-            const response = await this.opensearchClient.exists({
-              index: config.opensearch.index,
-              id: id
+            // Looked up in every tier, which a single-index exists() can't do
+            const response = await this.opensearchService.client.count({
+              index: this.opensearchService.searchIndices(),
+              body: { query: { ids: { values: [id] } } }
             });
-            return { id, exists: response.body };
+            return { id, exists: response.body.count > 0 };
           } catch (error) {
             return { id, exists: false, error: error.message };
           }
@@ -164,79 +289,176 @@ class DocumentCountMonitor {
     }
   }
 
-  async triggerAutoSync(difference, mongoCount, opensearchCount) {
+  async triggerAutoSync(difference, mongoCount, opensearchCount, dimensions = []) {
+    if (this.healInProgress) {
+      logger.info('Auto-heal already in progress, not starting another');
+      return;
+    }
+
+    const chain = this.getHealChain();
+    const target = this.buildHealTarget(dimensions);
+    logger.info(`🔄 Auto-heal triggered: difference=${difference} (threshold=${this.autoSyncThreshold}), strategies: ${chain.join(' → ')}` +
+      (target ? `, targeting ${target.buckets.length} diverging buckets` : ''));
+
+    this.healInProgress = true;
+    this.stats.autoSyncTriggered++;
+    this.stats.lastAutoSync = new Date();
+    this.stats.lastHeal = {
+      startedAt: new Date(),
+      mismatch: { difference, mongodb: mongoCount, opensearch: opensearchCount },
+      targetBuckets: target ? target.buckets : null,
+      attempts: [],
+      outcome: 'running'
+    };
+
+    // Runs in the background so a long heal doesn't hold up the count check
+    this.runHealStrategy(chain, 0, target).catch(error => {
+      logger.error('❌ Auto-heal failed:', error);
+      this.finishHeal('failed');
+    });
+  }
+
+  // The configured strategy and the more thorough ones after it
+  getHealChain() {
+    const start = HEAL_STRATEGIES.includes(this.healStrategy) ? this.healStrategy : HEAL_STRATEGIES[0];
+
+    return HEAL_STRATEGIES.slice(HEAL_STRATEGIES.indexOf(start)).filter(strategy => {
+      if (strategy === 'full-sync') {
+        return true;
+      }
+      // Reconciliation-based strategies need the service, and a window to reconcile
+      return Boolean(this.reconciliationService) &&
+        (strategy !== 'recent-window' || config.reconciliation.windowHours > 0);
+    });
+  }
+
+  async runHealStrategy(chain, position, target = null) {
+    const strategy = chain[position];
+    const attempt = { strategy, startedAt: new Date(), result: null, verification: null };
+    this.stats.lastHeal.attempts.push(attempt);
+
     try {
-      logger.info(`🔄 Auto-sync triggered: difference=${difference} (threshold=${this.autoSyncThreshold})`);
-      
-      this.stats.autoSyncTriggered++;
-      this.stats.lastAutoSync = new Date();
+      logger.info(`🩹 Auto-heal using ${strategy}...`);
+      attempt.result = await this.executeHealStrategy(strategy, target);
+      logger.info(`✅ Auto-heal ${strategy} finished:`, attempt.result);
+    } catch (error) {
+      // Still verify: an earlier heal or the live sync may have closed the gap
+      logger.error(`❌ Auto-heal ${strategy} failed:`, error.message);
+      attempt.error = error.message;
+    }
+    attempt.finishedAt = new Date();
+
+    // Give OpenSearch time to refresh before recounting
+    this.verificationTimeout = setTimeout(async () => {
+      this.verificationTimeout = null;
+      try {
+        await this.verifyHeal(chain, position, attempt, target);
+      } catch (error) {
+        logger.error('Failed to verify auto-heal results:', error);
+        this.finishHeal('failed');
+      }
+    }, config.countMonitor.healVerifyDelayMs);
+  }
 
-      // Call the sync service API to trigger full sync
-      const axios = require('axios');
-      const syncUrl = `http://localhost:${config.server.port || 3000}/api/sync/full-sync`;
-      
-      logger.info(`📡 Calling sync service: ${syncUrl}`);
-      
-      // Calculate timeout based on document count (minimum 2 minutes, maximum 10 minutes)
-      const estimatedTimePerDoc = 0.001; // 1ms per document estimate
-      const estimatedTime = Math.max(120000, Math.min(600000, difference * estimatedTimePerDoc));
-      const timeout = Math.min(estimatedTime, 600000); // Cap at 10 minutes
+  async verifyHeal(chain, position, attempt, target) {
+    logger.info(`🔍 Verifying auto-heal (${attempt.strategy})...`);
+    const verificationResult = await this.performCountCheck({ autoHeal: false });
+    const closedGap = verificationResult.difference <= this.autoSyncThreshold &&
+      verificationResult.bucketGap <= this.autoSyncThreshold;
+
+    attempt.verification = {
+      mongodb: verificationResult.mongodb,
+      opensearch: verificationResult.opensearch,
+      difference: verificationResult.difference,
+      bucketGap: verificationResult.bucketGap,
+      closedGap,
+      verifiedAt: new Date()
+    };
 
-      logger.info(`⏱️ Using timeout: ${timeout}ms for ${difference} documents`);
+    if (closedGap) {
+      logger.info(`✅ Auto-heal verification successful: ${attempt.strategy} closed the gap (difference ${verificationResult.difference})`);
+      this.finishHeal('closed');
+      return;
+    }
 
-      const response = await axios.post(syncUrl, {
-        batchSize: 1000,
-        reason: 'auto-sync-triggered-by-count-monitor',
-        mismatch: {
-          difference: difference,
-          mongodb: mongoCount,
-          opensearch: opensearchCount
-        }
-      }, {
-        timeout: timeout // Dynamic timeout based on document count
-      });
+    const next = chain[position + 1];
+    if (!next) {
+      logger.warn('⚠️ Auto-heal verification: counts still differ and no stronger strategy is left', attempt.verification);
+      this.finishHeal('unresolved');
+      return;
+    }
 
-      logger.info(`✅ Auto-sync completed successfully:`, {
-        processed: response.data.processed,
-        success: response.data.success,
-        difference: difference
-      });
+    logger.warn(`⚠️ Auto-heal verification: counts still differ after ${attempt.strategy}, escalating to ${next}`, attempt.verification);
+    await this.runHealStrategy(chain, position + 1, target);
+  }
+
+  finishHeal(outcome) {
+    this.healInProgress = false;
+    if (this.stats.lastHeal) {
+      this.stats.lastHeal.outcome = outcome;
+      this.stats.lastHeal.finishedAt = new Date();
+    }
+  }
+
+  // A target limits the heal to the documents of the diverging buckets
+  async executeHealStrategy(strategy, target = null) {
+    const params = { reason: 'auto-heal-triggered-by-count-monitor', strategy };
+    const scope = {};
+    if (target) {
+      scope.filter = target.filter;
+      scope.opensearchFilter = target.opensearchFilter;
+      params.buckets = target.buckets;
+    }
+
+    switch (strategy) {
+      case 'recent-window':
+        return this.runAsJob('reconciliation', (jobOptions) =>
+          this.runReconciliation({ ...jobOptions, ...scope, scope: 'window' }), params);
+
+      case 'missing-ids':
+        // A count-mode check syncs missing ids (and removes orphans when enabled)
+        return this.runAsJob('reconciliation', (jobOptions) =>
+          this.runReconciliation({ ...jobOptions, ...scope, scope: 'full', mode: 'count' }), params);
+
+      case 'full-sync':
+        return this.runAsJob('full-sync', (jobOptions) =>
+          this.syncService.performFullSync({ batchSize: 1000, filter: scope.filter, ...jobOptions }),
+        { batchSize: 1000, ...params });
+
+      default:
+        throw new Error(`Unknown auto-heal strategy: ${strategy}`);
+    }
+  }
 
-      // Wait a bit and then verify the sync
-      setTimeout(async () => {
+  async runReconciliation(options) {
+    const result = await this.reconciliationService.checkAndSync({ ...options, manual: true });
+    if (!result || result.skipped || result.success === false) {
+      throw new Error((result && result.error) || 'Reconciliation did not run');
+    }
+    return result;
+  }
+
+  // Runs a heal through the job manager when there is one, so it is visible
+  // under /api/jobs and never overlaps a manually started job of the same type
+  async runAsJob(type, run, params = {}) {
+    if (!this.jobManager) {
+      return run({});
+    }
+
+    return new Promise((resolve, reject) => {
+      const job = this.jobManager.submit(type, async ({ signal, reportProgress }) => {
         try {
-          logger.info('🔍 Verifying auto-sync results...');
-          const verificationResult = await this.performCountCheck();
-          
-          if (verificationResult.isMatch) {
-            logger.info('✅ Auto-sync verification successful: counts now match');
-          } else {
-            logger.warn('⚠️ Auto-sync verification: counts still differ', {
-              mongodb: verificationResult.mongodb,
-              opensearch: verificationResult.opensearch,
-              difference: verificationResult.difference
-            });
-          }
+          const result = await run({ signal, onProgress: reportProgress });
+          resolve(result);
+          return result;
         } catch (error) {
-          logger.error('Failed to verify auto-sync results:', error);
+          reject(error);
+          throw error;
         }
-      }, 30000); // Wait 30 seconds before verification
+      }, { params });
 
-    } catch (error) {
-      logger.error('❌ Auto-sync failed:', error.message);
-      
-      // Log additional details for debugging
-      if (error.response) {
-        logger.error('Sync service response:', {
-          status: error.response.status,
-          data: error.response.data
-        });
-      }
-      
-      // Don't throw the error - just log it and continue
-      // This prevents the count monitor from crashing the entire server
-      logger.warn('⚠️ Auto-sync failed, but count monitor will continue running');
-    }
+      logger.info(`⏱️ ${type} job ${job.id} submitted, waiting for it to finish...`);
+    });
   }
 
   async startMonitoring() {
@@ -246,27 +468,26 @@ class DocumentCountMonitor {
     }
 
     try {
-      await this.initialize();
-      
       this.isRunning = true;
       
       // Perform initial check after startup delay (non-blocking)
-      setTimeout(() => {
+      this.startupTimeout = setTimeout(() => {
+        this.startupTimeout = null;
         this.performCountCheck().catch(error => {
           logger.error('Initial count check failed:', error);
         });
       }, config.countMonitor.startupDelayMs);
       
-      // Set up interval for every 5 hours (5 * 60 * 60 * 1000 ms)
       this.checkInterval = setInterval(async () => {
         try {
           await this.performCountCheck();
         } catch (error) {
           logger.error('Scheduled count check failed:', error);
         }
-      }, 5 * 60 * 60 * 1000);
+      }, config.countMonitor.checkIntervalMs);
 
-      logger.info(`Document count monitor started - initial check in ${config.countMonitor.startupDelayMs / 1000}s, then every 5 hours`);
+      logger.info(`Document count monitor started - initial check in ${config.countMonitor.startupDelayMs / 1000}s, ` +
+        `then every ${config.countMonitor.checkIntervalMs / 60000} minutes`);
       
     } catch (error) {
       logger.error('Failed to start document count monitor:', error);
@@ -289,9 +510,14 @@ class DocumentCountMonitor {
         this.checkInterval = null;
       }
 
-      if (this.mongodbClient) {
-        await this.mongodbClient.close();
-        this.mongodbClient = null;
+      if (this.verificationTimeout) {
+        this.finishHeal('cancelled');
+      }
+      for (const timeout of ['startupTimeout', 'verificationTimeout']) {
+        if (this[timeout]) {
+          clearTimeout(this[timeout]);
+          this[timeout] = null;
+        }
       }
 
       logger.info('Document count monitor stopped');
@@ -307,8 +533,11 @@ class DocumentCountMonitor {
       isRunning: this.isRunning,
       autoSyncEnabled: this.autoSyncEnabled,
       autoSyncThreshold: this.autoSyncThreshold,
+      healStrategy: this.healStrategy,
+      dimensions: config.countMonitor.dimensions,
+      healInProgress: this.healInProgress,
       nextCheckIn: this.isRunning && this.stats.lastCheck ? 
-        new Date(this.stats.lastCheck.getTime() + 5 * 60 * 60 * 1000) : null
+        new Date(this.stats.lastCheck.getTime() + config.countMonitor.checkIntervalMs) : null
     };
   }
 
@@ -323,10 +552,21 @@ class DocumentCountMonitor {
     logger.info(`Auto-sync threshold set to ${threshold} documents`);
   }
 
+  setHealStrategy(strategy) {
+    if (strategy !== 'auto' && !HEAL_STRATEGIES.includes(strategy)) {
+      throw new Error(`Unknown auto-heal strategy "${strategy}" (use auto, ${HEAL_STRATEGIES.join(', ')})`);
+    }
+    this.healStrategy = strategy;
+    logger.info(`Auto-heal strategy set to ${strategy}`);
+  }
+
   getAutoSyncConfig() {
     return {
       enabled: this.autoSyncEnabled,
       threshold: this.autoSyncThreshold,
+      strategy: this.healStrategy,
+      chain: this.getHealChain(),
+      lastHeal: this.stats.lastHeal,
       triggered: this.stats.autoSyncTriggered,
       lastTriggered: this.stats.lastAutoSync
     };
@@ -334,43 +574,8 @@ class DocumentCountMonitor {
 
   // Manual trigger for immediate check
   async triggerManualCheck() {
-    if (!this.isRunning) {
-      await this.initialize();
-    }
-    
-    const result = await this.performCountCheck();
-    
-    if (!this.isRunning) {
-      await this.stopMonitoring();
-    }
-    
-    return result;
+    return this.performCountCheck();
   }
 }
 
-// Create and export the monitor instance
-const documentCountMonitor = new DocumentCountMonitor();
-
-// Graceful shutdown handling
-process.on('SIGTERM', async () => {
-  logger.info('Received SIGTERM, stopping document count monitor...');
-  await documentCountMonitor.stopMonitoring();
-  process.exit(0);
-});
-
-process.on('SIGINT', async () => {
-  logger.info('Received SIGINT, stopping document count monitor...');
-  await documentCountMonitor.stopMonitoring();
-  process.exit(0);
-});
-
-// Start monitoring if this script is run directly
-if (require.main === module) {
-  documentCountMonitor.startMonitoring().catch((error) => {
-    logger.error('Failed to start document count monitor:', error);
-    process.exit(1);
-  });
-}
-
-module.exports = documentCountMonitor;
-
+module.exports = DocumentCountMonitor;
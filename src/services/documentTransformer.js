@@ -0,0 +1,251 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const logger = require('../utils/logger');
+
+// Type coercions available to field definitions in a mapping file
+const COERCIONS = {
+  string: (value) => (value === null || value === undefined ? value : value.toString()),
+  number: (value) => {
+    if (value === null || value === undefined || value === '') {
+      return value;
+    }
+    const number = Number(value);
+    return Number.isNaN(number) ? null : number;
+  },
+  boolean: (value) => {
+    if (typeof value === 'string') {
+      return value.toLowerCase() === 'true';
+    }
+    return value === null || value === undefined ? value : Boolean(value);
+  },
+  date: (value) => {
+    if (value === null || value === undefined || value instanceof Date) {
+      return value;
+    }
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+  },
+  epochSeconds: (value) => {
+    if (typeof value === 'number') {
+      return new Date(value * 1000);
+    }
+    return COERCIONS.date(value);
+  },
+  array: (value) => {
+    if (value === null || value === undefined || Array.isArray(value)) {
+      return value;
+    }
+    return [value];
+  }
+};
+
+// JSON with object keys sorted, so equal documents always serialize the same way
+function stableStringify(value) {
+  if (value === null || value === undefined || typeof value !== 'object' || value instanceof Date) {
+    return JSON.stringify(value === undefined ? null : value);
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (typeof value.toJSON === 'function') {
+    return JSON.stringify(value);
+  }
+  const entries = Object.keys(value)
+    .filter(key => value[key] !== undefined)
+    .sort()
+    .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+  return `{${entries.join(',')}}`;
+}
+
+// Reads a dotted path such as "url-filter.url-filter-id" from a document
+function getPath(document, path) {
+  return path.split('.').reduce(
+    (value, key) => (value === null || value === undefined ? undefined : value[key]),
+    document
+  );
+}
+
+// Removes a dotted path, copying nested objects on the way down so values
+// shared with the source document are never mutated
+function deletePath(document, path) {
+  const keys = path.split('.');
+  const last = keys.pop();
+  let parent = document;
+
+  for (const key of keys) {
+    const child = parent[key];
+    if (!child || typeof child !== 'object' || Array.isArray(child)) {
+      return;
+    }
+    parent[key] = { ...child };
+    parent = parent[key];
+  }
+
+  delete parent[last];
+}
+
+// Turns a MongoDB document into the OpenSearch document described by a mapping
+// definition file. Field specs are either a source path string, or an object:
+//   { source, type, default, coerce, key, properties }
+// "object" copies a nested object and coerces the keys listed in coerce;
+// "objectArray" normalises an array of strings/objects into objects carrying the
+// given properties (strings become { [key]: value }).
+class DocumentTransformer {
+  constructor(definition) {
+    this.definition = definition;
+    this.passthrough = Boolean(definition.passthrough);
+    this.exclude = definition.exclude || [];
+    this.fields = Object.entries(definition.fields || {}).map(([target, spec]) =>
+      this.normalizeField(target, spec)
+    );
+    this.mappedSources = new Set(this.fields.map(field => field.source.split('.')[0]));
+  }
+
+  static fromFile(filePath) {
+    try {
+      const definition = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      const transformer = new DocumentTransformer(definition);
+      logger.info(`Loaded field mapping from ${filePath} (${transformer.fields.length} fields)`);
+      return transformer;
+    } catch (error) {
+      logger.error(`Failed to load field mapping ${filePath}:`, error);
+      throw error;
+    }
+  }
+
+  normalizeField(target, spec) {
+    const field = typeof spec === 'string' ? { source: spec } : { ...spec };
+    field.target = target;
+    field.source = field.source || target;
+
+    const knownTypes = [...Object.keys(COERCIONS), 'object', 'objectArray'];
+    if (field.type && !knownTypes.includes(field.type)) {
+      throw new Error(`Unknown type "${field.type}" for mapped field ${target}`);
+    }
+    for (const [key, type] of Object.entries(field.coerce || {})) {
+      if (!COERCIONS[type]) {
+        throw new Error(`Unknown coercion "${type}" for ${target}.${key}`);
+      }
+    }
+
+    return field;
+  }
+
+  transform(document) {
+    const output = {};
+
+    if (this.passthrough) {
+      for (const [key, value] of Object.entries(document)) {
+        if (key !== '_id' && !this.mappedSources.has(key)) {
+          output[key] = value;
+        }
+      }
+    }
+
+    for (const field of this.fields) {
+      let value = this.convert(field, getPath(document, field.source));
+      if ((value === undefined || value === null) && field.default !== undefined) {
+        value = field.default;
+      }
+      output[field.target] = value;
+    }
+
+    for (const path of this.exclude) {
+      deletePath(output, path);
+    }
+
+    return output;
+  }
+
+  // Whether a top-level source field ends up in the OpenSearch document
+  indexesField(name) {
+    if (this.mappedSources.has(name)) {
+      return true;
+    }
+    return this.passthrough && name !== '_id' && !this.exclude.includes(name);
+  }
+
+  // The part of the OpenSearch document built from the given top-level source
+  // fields. Fields missing from the document come out as null (or their
+  // default), so a partial update clears them in the index.
+  transformPartial(document, names) {
+    const changed = new Set(names);
+    const output = {};
+
+    if (this.passthrough) {
+      for (const name of changed) {
+        if (this.indexesField(name) && !this.mappedSources.has(name)) {
+          output[name] = document[name] === undefined ? null : document[name];
+        }
+      }
+    }
+
+    for (const field of this.fields) {
+      if (!changed.has(field.source.split('.')[0])) {
+        continue;
+      }
+      let value = this.convert(field, getPath(document, field.source));
+      if ((value === undefined || value === null) && field.default !== undefined) {
+        value = field.default;
+      }
+      output[field.target] = value === undefined ? null : value;
+    }
+
+    for (const path of this.exclude) {
+      deletePath(output, path);
+    }
+
+    return output;
+  }
+
+  // Content hash of a transformed document, stored with it in the index so
+  // reconciliation can tell whether the indexed copy is current
+  hash(output) {
+    return crypto.createHash('sha1').update(stableStringify(output)).digest('hex');
+  }
+
+  convert(field, value) {
+    switch (field.type) {
+      case undefined:
+        return value;
+
+      case 'object': {
+        if (!value || typeof value !== 'object') {
+          return undefined;
+        }
+        const copy = { ...value };
+        for (const [key, type] of Object.entries(field.coerce || {})) {
+          if (copy[key] !== undefined) {
+            copy[key] = COERCIONS[type](copy[key]);
+          }
+        }
+        return copy;
+      }
+
+      case 'objectArray': {
+        if (!Array.isArray(value)) {
+          return value;
+        }
+        const properties = field.properties || {};
+        return value.map(item => {
+          if (typeof item === 'string') {
+            return { ...properties, [field.key]: item };
+          }
+          if (item && typeof item === 'object') {
+            const normalized = {};
+            for (const [property, fallback] of Object.entries(properties)) {
+              normalized[property] = item[property] !== undefined ? item[property] : fallback;
+            }
+            return normalized;
+          }
+          return null;
+        }).filter(item => item !== null);
+      }
+
+      default:
+        return COERCIONS[field.type](value);
+    }
+  }
+}
+
+module.exports = DocumentTransformer;
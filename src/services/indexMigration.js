@@ -0,0 +1,254 @@
+const config = require('../config');
+const logger = require('../utils/logger');
+
+// Moves the sync onto a new versioned index (e.g. facebook-ads-hot-v3) without
+// downtime: create it from a definition file, dual-write live changes while it
+// is backfilled from MongoDB, verify counts, then swap the read alias. The old
+// index keeps receiving writes after the swap until the migration is finalized,
+// so a rollback loses nothing.
+class IndexMigrationService {
+  constructor(syncService) {
+    this.syncService = syncService;
+    this.mongodbService = syncService.mongodbService;
+    this.opensearchService = syncService.opensearchService;
+    this.checkpointStore = syncService.checkpointStore;
+    this.pipeline = syncService.pipeline;
+    this.stateKey = `index-state:${this.pipeline.opensearch.indexAlias}`;
+    this.state = {
+      activeIndex: null,
+      previousIndex: null,
+      dualWriteIndices: [],
+      migration: null
+    };
+  }
+
+  // Points the OpenSearch service at the index chosen by the last migration
+  async restore() {
+    const state = await this.checkpointStore.load(this.stateKey);
+    if (!state) {
+      return;
+    }
+
+    this.state = { ...this.state, ...state };
+    this.applyState();
+    logger.info(`Restored index state: writing to ${this.opensearchService.indexName}` +
+      (this.state.dualWriteIndices.length > 0 ? ` (dual-writing to ${this.state.dualWriteIndices.join(', ')})` : ''));
+  }
+
+  applyState() {
+    if (this.state.activeIndex) {
+      this.opensearchService.indexName = this.state.activeIndex;
+    }
+    this.opensearchService.dualWriteIndices = [...this.state.dualWriteIndices];
+  }
+
+  async saveState() {
+    this.applyState();
+    await this.checkpointStore.save(this.stateKey, this.state);
+  }
+
+  versionedIndexName(version) {
+    return `${this.pipeline.opensearch.index}-v${version}`;
+  }
+
+  getStatus() {
+    return {
+      alias: this.pipeline.opensearch.indexAlias,
+      writeIndex: this.opensearchService.indexName,
+      dualWriteIndices: this.opensearchService.dualWriteIndices,
+      previousIndex: this.state.previousIndex,
+      migration: this.state.migration
+    };
+  }
+
+  isInProgress() {
+    const migration = this.state.migration;
+    return Boolean(migration) && ['backfilling', 'verified', 'verification_failed', 'swapped'].includes(migration.status);
+  }
+
+  // Creates the new index, backfills it and (with autoSwap) swaps the alias.
+  // Re-running with the same version resumes an interrupted backfill.
+  async migrate({ version, definitionFile, autoSwap = true, batchSize, signal, onProgress } = {}) {
+    if (!version) {
+      throw new Error('An index version is required');
+    }
+    if (this.opensearchService.isPartitioned()) {
+      throw new Error('Partitioned indexes are not migrated; update the index definition and new partitions pick it up');
+    }
+
+    const targetIndex = this.versionedIndexName(version);
+    const current = this.state.migration;
+
+    if (this.isInProgress() && current.targetIndex !== targetIndex) {
+      throw new Error(`Migration to ${current.targetIndex} is still ${current.status}; finalize or roll it back first`);
+    }
+    if (targetIndex === this.opensearchService.indexName) {
+      throw new Error(`${targetIndex} is already the write index`);
+    }
+
+    await this.opensearchService.createIndexIfNotExists(targetIndex, definitionFile);
+
+    // Live changes go to the new index before the backfill reads anything
+    this.state.dualWriteIndices = [targetIndex];
+    this.state.migration = {
+      version,
+      sourceIndex: this.opensearchService.indexName,
+      targetIndex,
+      definitionFile: definitionFile || this.pipeline.opensearch.indexDefinitionFile,
+      status: 'backfilling',
+      startedAt: (current && current.targetIndex === targetIndex && current.startedAt) || new Date(),
+      verification: null,
+      error: null
+    };
+    await this.saveState();
+
+    logger.info(`🔄 Backfilling ${targetIndex} from MongoDB...`);
+    const backfill = await this.syncService.performFullSync({
+      targetIndex,
+      checkpointKey: `index-migration:${targetIndex}`,
+      resume: true,
+      batchSize,
+      signal,
+      onProgress
+    });
+
+    if (backfill.cancelled || backfill.resumable) {
+      logger.warn(`Backfill of ${targetIndex} did not finish, re-run the migration to resume it`);
+      return { success: false, targetIndex, backfill, status: this.state.migration.status };
+    }
+
+    const verification = await this.verify();
+    if (!verification.passed || !autoSwap) {
+      return { success: verification.passed, targetIndex, backfill, verification, status: this.state.migration.status };
+    }
+
+    await this.swap();
+    return { success: true, targetIndex, backfill, verification, status: this.state.migration.status };
+  }
+
+  async verify() {
+    const migration = this.state.migration;
+    if (!migration) {
+      throw new Error('No index migration to verify');
+    }
+
+    const client = this.opensearchService.client;
+    // Only hot documents are backfilled into the new index; warm ones stay in
+    // the warm tier, which counts towards the total
+    const indices = this.opensearchService.warmIndex
+      ? [migration.targetIndex, this.opensearchService.warmIndex]
+      : [migration.targetIndex];
+    await client.indices.refresh({ index: indices });
+
+    const [mongoCount, countResponse] = await Promise.all([
+      this.mongodbService.collection.countDocuments(this.syncService.scope.mongoFilter()),
+      client.count({ index: indices })
+    ]);
+    const opensearchCount = countResponse.body.count;
+    const difference = mongoCount - opensearchCount;
+    const passed = Math.abs(difference) <= config.indexMigration.countTolerance;
+
+    migration.verification = {
+      mongoCount,
+      opensearchCount,
+      difference,
+      tolerance: config.indexMigration.countTolerance,
+      passed,
+      verifiedAt: new Date()
+    };
+    migration.status = passed ? 'verified' : 'verification_failed';
+    await this.saveState();
+
+    if (passed) {
+      logger.info(`✅ ${migration.targetIndex} verified: MongoDB=${mongoCount}, OpenSearch=${opensearchCount}`);
+    } else {
+      logger.warn(`⚠️ ${migration.targetIndex} failed verification: MongoDB=${mongoCount}, OpenSearch=${opensearchCount}`);
+    }
+
+    return migration.verification;
+  }
+
+  // Atomically moves the read alias from whatever it points at to the target,
+  // leaving the warm tier in it
+  async pointAliasAt(index) {
+    const client = this.opensearchService.client;
+    const alias = this.pipeline.opensearch.indexAlias;
+    const actions = [];
+
+    try {
+      const response = await client.indices.getAlias({ name: alias });
+      for (const current of Object.keys(response.body)) {
+        if (current !== index && current !== this.opensearchService.warmIndex) {
+          actions.push({ remove: { index: current, alias } });
+        }
+      }
+    } catch (error) {
+      if (error.statusCode !== 404) {
+        throw error;
+      }
+    }
+
+    actions.push({ add: { index, alias } });
+    await client.indices.updateAliases({ body: { actions } });
+    logger.info(`Alias ${alias} now points at ${index}`);
+  }
+
+  async swap({ force = false } = {}) {
+    const migration = this.state.migration;
+    if (!migration || (migration.status !== 'verified' && !(force && migration.status === 'verification_failed'))) {
+      throw new Error('Only a verified migration can be swapped (use force to override a failed verification)');
+    }
+
+    await this.pointAliasAt(migration.targetIndex);
+
+    this.state.previousIndex = this.opensearchService.indexName;
+    this.state.activeIndex = migration.targetIndex;
+    // Keep the old index current so a rollback is lossless
+    this.state.dualWriteIndices = [this.state.previousIndex];
+    migration.status = 'swapped';
+    migration.swappedAt = new Date();
+    await this.saveState();
+
+    logger.info(`✅ Swapped to ${migration.targetIndex} (previous: ${this.state.previousIndex})`);
+    return this.getStatus();
+  }
+
+  async rollback() {
+    const migration = this.state.migration;
+    if (!this.isInProgress()) {
+      throw new Error('No index migration to roll back');
+    }
+
+    if (migration.status === 'swapped') {
+      await this.pointAliasAt(this.state.previousIndex);
+      this.state.activeIndex = this.state.previousIndex;
+      this.state.previousIndex = null;
+    }
+
+    this.state.dualWriteIndices = [];
+    migration.status = 'rolled_back';
+    migration.finishedAt = new Date();
+    await this.saveState();
+
+    logger.warn(`↩️ Rolled back migration to ${migration.targetIndex}, writing to ${this.opensearchService.indexName}`);
+    return this.getStatus();
+  }
+
+  // Stops dual-writing to the old index; it is left in place for manual deletion
+  async finalize() {
+    const migration = this.state.migration;
+    if (!migration || migration.status !== 'swapped') {
+      throw new Error('Only a swapped migration can be finalized');
+    }
+
+    this.state.dualWriteIndices = [];
+    migration.status = 'completed';
+    migration.finishedAt = new Date();
+    await this.saveState();
+
+    logger.info(`✅ Migration to ${migration.targetIndex} finalized; ${this.state.previousIndex} is no longer written to`);
+    return this.getStatus();
+  }
+}
+
+module.exports = IndexMigrationService;
@@ -0,0 +1,141 @@
+const crypto = require('crypto');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+// Runs long operations (full syncs, reconciliation runs) in the background and
+// keeps their progress and outcome in memory so callers can poll by job id.
+class JobManager {
+  constructor() {
+    this.jobs = new Map();
+    this.controllers = new Map();
+    this.historyLimit = config.jobs.historyLimit;
+  }
+
+  // handler receives { signal, reportProgress } and resolves with the job result.
+  // Only one job per lock key (the job type by default) may run at a time.
+  submit(type, handler, { params = {}, lockKey = type } = {}) {
+    const activeJob = this.getActiveJob(lockKey);
+    if (activeJob) {
+      const error = new Error(`A ${type} job is already running (${activeJob.id})`);
+      error.statusCode = 409;
+      error.activeJobId = activeJob.id;
+      throw error;
+    }
+
+    const job = {
+      id: crypto.randomUUID(),
+      type,
+      lockKey,
+      params,
+      status: 'running',
+      progress: {},
+      eta: null,
+      result: null,
+      error: null,
+      cancelRequested: false,
+      createdAt: new Date(),
+      startedAt: new Date(),
+      finishedAt: null
+    };
+    const controller = new AbortController();
+
+    this.jobs.set(job.id, job);
+    this.controllers.set(job.id, controller);
+    this.pruneHistory();
+
+    logger.info(`Started ${type} job ${job.id}`);
+
+    const reportProgress = (progress) => {
+      job.progress = { ...job.progress, ...progress };
+      job.eta = this.estimateCompletion(job);
+    };
+
+    Promise.resolve()
+      .then(() => handler({ signal: controller.signal, reportProgress }))
+      .then((result) => {
+        job.result = result;
+        job.status = controller.signal.aborted ? 'cancelled' : 'completed';
+        logger.info(`${type} job ${job.id} ${job.status}`);
+      })
+      .catch((error) => {
+        job.error = error.message;
+        job.status = controller.signal.aborted ? 'cancelled' : 'failed';
+        logger.error(`${type} job ${job.id} failed:`, error);
+      })
+      .finally(() => {
+        job.finishedAt = new Date();
+        job.eta = null;
+        this.controllers.delete(job.id);
+      });
+
+    return this.serialize(job);
+  }
+
+  cancel(id) {
+    const job = this.jobs.get(id);
+    if (!job) {
+      return null;
+    }
+
+    const controller = this.controllers.get(id);
+    if (controller && job.status === 'running') {
+      job.cancelRequested = true;
+      controller.abort();
+      logger.info(`Cancellation requested for ${job.type} job ${id}`);
+    }
+
+    return this.serialize(job);
+  }
+
+  get(id) {
+    const job = this.jobs.get(id);
+    return job ? this.serialize(job) : null;
+  }
+
+  list({ type, status } = {}) {
+    return [...this.jobs.values()]
+      .filter(job => (!type || job.type === type) && (!status || job.status === status))
+      .sort((a, b) => b.createdAt - a.createdAt)
+      .map(job => this.serialize(job));
+  }
+
+  getActiveJob(lockKey) {
+    for (const job of this.jobs.values()) {
+      if (job.lockKey === lockKey && job.status === 'running') {
+        return job;
+      }
+    }
+    return null;
+  }
+
+  estimateCompletion(job) {
+    const { processed, total } = job.progress;
+    if (!processed || !total || processed >= total) {
+      return null;
+    }
+
+    const elapsedMs = Date.now() - job.startedAt.getTime();
+    const remainingMs = (elapsedMs / processed) * (total - processed);
+    return new Date(Date.now() + remainingMs);
+  }
+
+  // Drops the oldest finished jobs once the history limit is exceeded
+  pruneHistory() {
+    const finished = [...this.jobs.values()]
+      .filter(job => job.status !== 'running')
+      .sort((a, b) => a.createdAt - b.createdAt);
+
+    while (this.jobs.size > this.historyLimit && finished.length > 0) {
+      this.jobs.delete(finished.shift().id);
+    }
+  }
+
+  serialize(job) {
+    return {
+      ...job,
+      durationMs: (job.finishedAt || new Date()) - job.startedAt
+    };
+  }
+}
+
+module.exports = JobManager;
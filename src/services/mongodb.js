@@ -1,9 +1,11 @@
-const { MongoClient } = require('mongodb');
+const { MongoClient, ObjectId } = require('mongodb');
 const config = require('../config');
 const logger = require('../utils/logger');
 
 class MongoDBService {
-  constructor() {
+  // options: { uri, database, collection }, defaulting to config.mongodb
+  constructor(options = {}) {
+    this.settings = { ...config.mongodb, ...options };
     this.client = null;
     this.db = null;
     this.collection = null;
@@ -11,15 +13,15 @@ class MongoDBService {
 
   async connect() {
     try {
-      this.client = new MongoClient(config.mongodb.uri, {
+      this.client = new MongoClient(this.settings.uri, {
         maxPoolSize: 10,
         serverSelectionTimeoutMS: 5000,
         socketTimeoutMS: 45000
       });
 
       await this.client.connect();
-      this.db = this.client.db(config.mongodb.database);
-      this.collection = this.db.collection(config.mongodb.collection);
+      this.db = this.client.db(this.settings.database);
+      this.collection = this.db.collection(this.settings.collection);
       
       logger.info('Connected to MongoDB successfully');
       return true;
@@ -36,11 +38,14 @@ class MongoDBService {
     }
   }
 
-  async getChangeStream() {
+  // match replaces the default operation type filter, e.g. to apply a sync scope.
+  // fullDocument selects what update events carry: the current document
+  // (updateLookup), the post-image (whenAvailable/required) or nothing (default).
+  async getChangeStream(resumeToken = null, { match = null, fullDocument = 'updateLookup' } = {}) {
     try {
       const pipeline = [
         {
-          $match: {
+          $match: match || {
             $or: [
               { operationType: 'insert' },
               { operationType: 'update' },
@@ -51,12 +56,21 @@ class MongoDBService {
         }
       ];
 
-      const changeStream = this.collection.watch(pipeline, {
-        fullDocument: 'updateLookup',
+      const options = {
+        fullDocument,
         fullDocumentBeforeChange: 'whenAvailable'
-      });
+      };
+
+      // startAfter (unlike resumeAfter) also accepts the token of an invalidate event
+      if (resumeToken) {
+        options.startAfter = resumeToken;
+      }
+
+      const changeStream = this.collection.watch(pipeline, options);
 
-      logger.info('MongoDB change stream started');
+      logger.info(resumeToken
+        ? 'MongoDB change stream resumed from checkpoint'
+        : 'MongoDB change stream started');
       return changeStream;
     } catch (error) {
       logger.error('Failed to create change stream:', error);
@@ -86,6 +100,22 @@ class MongoDBService {
     }
   }
 
+  // Accepts string ids as stored in OpenSearch and converts them back to ObjectIds
+  // options.filter narrows the lookup further (e.g. to the sync scope); the
+  // remaining options are passed to find()
+  async findDocumentsByIds(ids, options = {}) {
+    try {
+      const { filter, ...findOptions } = options;
+      const objectIds = ids.map(id => (ObjectId.isValid(id) ? new ObjectId(id) : id));
+      const byIds = { _id: { $in: objectIds } };
+      const hasFilter = filter && Object.keys(filter).length > 0;
+      return await this.collection.find(hasFilter ? { $and: [byIds, filter] } : byIds, findOptions).toArray();
+    } catch (error) {
+      logger.error('Failed to find documents by ids:', error);
+      throw error;
+    }
+  }
+
   async healthCheck() {
     try {
       await this.db.admin().ping();
@@ -111,7 +141,7 @@ class MongoDBService {
       // Use collStats command for detailed stats
       let stats = {};
       try {
-        const result = await this.db.command({ collStats: config.mongodb.collection });
+        const result = await this.db.command({ collStats: this.settings.collection });
         stats = {
           size: result.size || 0,
           avgObjSize: result.avgObjSize || 0,
@@ -1,9 +1,22 @@
+const fs = require('fs');
 const { Client } = require('@opensearch-project/opensearch');
 const config = require('../config');
 const logger = require('../utils/logger');
+const DocumentTransformer = require('./documentTransformer');
+const TierPolicy = require('./tierPolicy');
+const TemplateManager = require('./templateManager');
+const { toDate } = require('../utils/dates');
+
+// Ids per routing lookup search
+const LOOKUP_CHUNK_SIZE = 1000;
+// How long a document written by this process may still be invisible to
+// searches; well above the refresh intervals the indexes use
+const RECENT_WRITE_WINDOW_MS = 60 * 1000;
 
 class OpenSearchService {
-  constructor() {
+  // options: { index, indexAlias, indexDefinitionFile, partitionField, mappingFile,
+  // routingFields, tiering }, defaulting to the OPENSEARCH_* and TRANSFORM_* settings
+  constructor(options = {}) {
     this.client = new Client({
       node: config.opensearch.url,
       auth: {
@@ -12,15 +25,43 @@ class OpenSearchService {
       },
       ssl: config.opensearch.ssl
     });
-    this.indexName = config.opensearch.index;
-    this.indexAlias = config.opensearch.indexAlias;
+    this.indexName = options.index || config.opensearch.index;
+    // The configured name; a migration moves indexName to <index>-vN
+    this.baseIndex = this.indexName;
+    this.indexAlias = options.indexAlias || config.opensearch.indexAlias;
+    this.indexDefinitionFile = options.indexDefinitionFile || config.opensearch.indexDefinitionFile;
+    // Document fields tried in order for the shard routing value
+    this.routingFields = options.routingFields || ['page_id', 'countrySearchedfor'];
+    // Extra indexes kept in step with the write index, e.g. during a reindex
+    this.dualWriteIndices = [];
+    this.transformer = DocumentTransformer.fromFile(options.mappingFile || config.transform.mappingFile);
+    // With tiering, aged-out documents live in the warm index instead of the
+    // write index (which is the hot tier)
+    this.tiering = options.tiering || null;
+    this.warmIndex = this.tiering ? this.tiering.warmIndex : null;
+    this.tierPolicy = this.tiering ? new TierPolicy(this.tiering) : null;
+    // With a partition field, each tier is a set of monthly indexes named
+    // <index>.YYYY-MM, created on first write from an index template that also
+    // adds them to the read alias
+    this.partitionField = options.partitionField !== undefined
+      ? options.partitionField
+      : config.opensearch.partitionField;
+    this.knownPartitions = new Set();
+    // Ids of documents this process wrote in the last RECENT_WRITE_WINDOW_MS,
+    // with the time of the write, oldest first
+    this.recentWrites = new Map();
+    // Settings and mappings reach every index through templates
+    this.templates = new TemplateManager(this);
   }
 
   async initialize() {
     try {
-      await this.createIndexIfNotExists();
-      await this.setupIndexAlias();
-      await this.setupIndexSettings();
+      await this.templates.installMissing();
+      if (!this.partitionField) {
+        await this.createIndexIfNotExists();
+        await this.createWarmIndexIfNotExists();
+        await this.setupIndexAlias();
+      }
       logger.info('OpenSearch service initialized successfully');
     } catch (error) {
       logger.error('Failed to initialize OpenSearch service:', error);
@@ -48,304 +89,382 @@ class OpenSearchService {
     }
   }
 
-  async createIndexIfNotExists() {
+  // { version, settings, mappings }
+  loadIndexDefinition(definitionFile = this.indexDefinitionFile) {
+    return JSON.parse(fs.readFileSync(definitionFile, 'utf8'));
+  }
+
+  // The index templates supply settings and mappings; a definition file
+  // (e.g. for a migration) overrides them
+  async createIndexIfNotExists(indexName = this.indexName, definitionFile) {
     const exists = await this.client.indices.exists({
-      index: this.indexName
+      index: indexName
     });
 
     if (!exists.body) {
-      await this.client.indices.create({
-        index: this.indexName,
-        body: {
-          settings: {
-            number_of_shards: 1,
-            number_of_replicas: 1,
-            refresh_interval: '1s',
-            'index.mapping.total_fields.limit': 2000
-          },
-          mappings: {
-            properties: {
-              mongo_id: { type: 'keyword' },
-              ad_archive_id: { type: 'keyword' },
-              library_id: { type: 'keyword' },
-              page_id: { type: 'keyword' },
-              page_name: { type: 'text', fields: { keyword: { type: 'keyword' } } },
-              advertiser_name: { type: 'text', fields: { keyword: { type: 'keyword' } } },
-              status: { type: 'keyword' },
-              is_active: { type: 'boolean' },
-              started_running_on: { type: 'date' },
-              start_date: { type: 'date' },
-              scraped_at: { type: 'date' },
-              permalink_url: { type: 'keyword' },
-              redirected_final_url: { type: 'keyword' },
-              currency: { type: 'keyword' },
-              keywords: { type: 'keyword' },
-              countrySearchedfor: { type: 'keyword' },
-              search_country: { type: 'keyword' },
-              country: { type: 'keyword' },
-              region: { type: 'keyword' },
-              platforms: {
-                properties: {
-                  facebook: { type: 'boolean' },
-                  instagram: { type: 'boolean' },
-                  messenger: { type: 'boolean' },
-                  audience_network: { type: 'boolean' }
-                }
-              },
-              publisher_platform: { type: 'keyword' },
-              creative: {
-                properties: {
-                  headline: { type: 'text', fields: { keyword: { type: 'keyword' } } },
-                  body: { type: 'text' },
-                  cta: { type: 'keyword' },
-                  cta_text: { type: 'keyword' },
-                  cta_type: { type: 'keyword' },
-                  link_url: { type: 'keyword' },
-                  redirected_final_url: { type: 'keyword' },
-                  image_url: { type: 'keyword' },
-                  image_urls: { type: 'keyword' },
-                  video_url: { type: 'keyword' },
-                  video_urls: { type: 'keyword' },
-                  media_items: {
-                    properties: {
-                      type: { type: 'keyword' },
-                      url: { type: 'keyword' },
-                      videoUrl: { type: 'keyword' }
-                    }
-                  },
-                  cards: {
-                    properties: {
-                      image_url: { type: 'keyword' },
-                      title: { type: 'text', fields: { keyword: { type: 'keyword' } } },
-                      body: { type: 'text' },
-                      caption: { type: 'text' },
-                      cta_text: { type: 'keyword' },
-                      cta_type: { type: 'keyword' },
-                      link_url: { type: 'keyword' },
-                      redirected_final_url: { type: 'keyword' }
-                    }
-                  }
-                }
-              },
-              snapshot: {
-                properties: {
-                  images: {
-                    properties: {
-                      original_image_url: { type: 'keyword' },
-                      resized_image_url: { type: 'keyword' },
-                      watermarked_resized_image_url: { type: 'keyword' },
-                      url: { type: 'keyword' },
-                      image_url: { type: 'keyword' }
-                    }
-                  },
-                  videos: {
-                    properties: {
-                      video_preview_image_url: { type: 'keyword' },
-                      video_hd_url: { type: 'keyword' },
-                      video_sd_url: { type: 'keyword' }
-                    }
-                  },
-                  cards: {
-                    properties: {
-                      original_image_url: { type: 'keyword' },
-                      resized_image_url: { type: 'keyword' },
-                      watermarked_resized_image_url: { type: 'keyword' },
-                      video_preview_image_url: { type: 'keyword' },
-                      video_hd_url: { type: 'keyword' },
-                      video_sd_url: { type: 'keyword' },
-                      title: { type: 'text', fields: { keyword: { type: 'keyword' } } },
-                      body: { type: 'text' },
-                      caption: { type: 'text' },
-                      cta_text: { type: 'keyword' },
-                      cta_type: { type: 'keyword' },
-                      link_url: { type: 'keyword' },
-                      redirected_final_url: { type: 'keyword' }
-                    }
-                  },
-                  cta_text: { type: 'keyword' },
-                  cta_type: { type: 'keyword' },
-                  link_url: { type: 'keyword' },
-                  redirected_final_url: { type: 'keyword' },
-                  body: {
-                    properties: {
-                      text: { type: 'text' }
-                    }
-                  },
-                  title: { type: 'text', fields: { keyword: { type: 'keyword' } } },
-                  caption: { type: 'text' }
-                }
-              },
-              // Additional fields for filtering
-              search_query: { type: 'text', fields: { keyword: { type: 'keyword' } } },
-              search_media_type: { type: 'keyword' },
-              search_type: { type: 'keyword' },
-              categories: { type: 'keyword' },
-              page_categories: { type: 'keyword' },
-              page_like_count: { type: 'long' },
-              end_date: { type: 'date' },
-              collation_id: { type: 'keyword' },
-              collation_count: { type: 'long' },
-              contains_digital_created_media: { type: 'boolean' },
-              contains_sensitive_content: { type: 'boolean' },
-              is_profile_page: { type: 'boolean' },
-              page_is_deleted: { type: 'boolean' },
-              page_entity_type: { type: 'keyword' },
-              entity_type: { type: 'keyword' },
-              gated_type: { type: 'keyword' },
-              hide_data_status: { type: 'keyword' },
-              is_aaa_eligible: { type: 'boolean' },
-              targeted_or_reached_countries: { type: 'keyword' },
-              political_countries: { type: 'keyword' },
-              countrySearchedfor_all: {
-                properties: {
-                  country: { type: 'keyword' },
-                  is_active: { type: 'boolean' }
-                }
-              },
-              // URL Filter fields
-              'url-filter': {
-                properties: {
-                  'url-filter-url': { type: 'keyword' },
-                  'url-filter-name': { type: 'text', fields: { keyword: { type: 'keyword' } } },
-                  'url-filter-id': { type: 'keyword' },
-                  'matched-url': { type: 'keyword' }
-                }
-              },
-              'url-filter-updated-at': { type: 'date' }
-            }
-          }
+      const params = { index: indexName };
+      if (definitionFile) {
+        const { settings, mappings } = this.loadIndexDefinition(definitionFile);
+        params.body = { settings, mappings };
+      }
+      await this.client.indices.create(params);
+      logger.info(`Created index: ${indexName}`);
+      return true;
+    }
+
+    return false;
+  }
+
+  // The warm tier's template gives it the write index's mappings, refreshed
+  // less often
+  async createWarmIndexIfNotExists() {
+    if (!this.warmIndex) {
+      return false;
+    }
+
+    const exists = await this.client.indices.exists({
+      index: this.warmIndex
+    });
+    if (exists.body) {
+      return false;
+    }
+
+    await this.client.indices.create({
+      index: this.warmIndex
+    });
+    logger.info(`Created warm tier index: ${this.warmIndex}`);
+    return true;
+  }
+
+  // Index (or partition pattern) holding a tier's documents
+  tierIndex(tier = 'hot') {
+    const base = tier === 'warm' ? this.warmIndex : this.indexName;
+    return this.partitionField ? `${base}.*` : base;
+  }
+
+  // Indexes holding the synced documents: the write index and the warm tier
+  searchIndices() {
+    return this.warmIndex ? [this.tierIndex('hot'), this.tierIndex('warm')] : [this.tierIndex('hot')];
+  }
+
+  isPartitioned() {
+    return Boolean(this.partitionField);
+  }
+
+  // Monthly partition for a built document, by the partition field and
+  // otherwise by the creation time in its ObjectId
+  partitionFor(base, doc, docId) {
+    let date = toDate(doc[this.partitionField]);
+    if (!date && /^[0-9a-f]{24}$/i.test(docId)) {
+      date = new Date(parseInt(docId.slice(0, 8), 16) * 1000);
+    }
+    if (!date) {
+      return `${base}.undated`;
+    }
+    return `${base}.${date.getUTCFullYear()}-${String(date.getUTCMonth() + 1).padStart(2, '0')}`;
+  }
+
+  async partitionExists(name) {
+    if (!this.knownPartitions.has(name)) {
+      const exists = await this.client.indices.exists({ index: name });
+      if (!exists.body) {
+        return false;
+      }
+      this.knownPartitions.add(name);
+    }
+    return true;
+  }
+
+  // Creates partitions that don't exist yet; the template supplies settings,
+  // mappings and the alias
+  async ensurePartitions(names) {
+    for (const name of names) {
+      if (await this.partitionExists(name)) {
+        continue;
+      }
+
+      try {
+        await this.client.indices.create({ index: name });
+        logger.info(`Created partition: ${name}`);
+      } catch (error) {
+        // Another writer created it first
+        if (!(error.body && error.body.error && error.body.error.type === 'resource_already_exists_exception')) {
+          throw error;
         }
-      });
-      logger.info(`Created index: ${this.indexName}`);
+      }
+      this.knownPartitions.add(name);
     }
   }
 
+  tierOf(document) {
+    return this.tierPolicy ? this.tierPolicy.tierOf(document) : 'hot';
+  }
+
   async setupIndexAlias() {
     try {
       await this.client.indices.putAlias({
-        index: this.indexName,
+        index: this.searchIndices(),
         name: this.indexAlias
       });
-      logger.info(`Setup alias: ${this.indexAlias} -> ${this.indexName}`);
+      logger.info(`Setup alias: ${this.indexAlias} -> ${this.searchIndices().join(', ')}`);
     } catch (error) {
       logger.warn('Failed to setup index alias:', error.message);
     }
   }
 
-  async setupIndexSettings() {
-    try {
-      await this.client.indices.putSettings({
-        index: this.indexName,
-        body: {
-          settings: {
-            refresh_interval: '1s',
-            number_of_replicas: 1
-          }
-        }
-      });
-    } catch (error) {
-      logger.warn('Failed to update index settings:', error.message);
-    }
+  getRouting(doc) {
+    const field = this.routingFields.find(name => doc[name]);
+    return field ? doc[field] : doc._id.toString();
   }
 
-  async bulkIndex(documents) {
+  buildDocument(doc) {
+    const document = this.transformer.transform(doc);
+    document.source_hash = this.transformer.hash(document);
+    return document;
+  }
+
+  // The fields an update operation changed. With the source document at hand
+  // they are taken from it and the content hash stays exact; without it the
+  // hash can't be recomputed and is cleared, so content reconciliation
+  // rewrites the document later.
+  buildPartialDocument(op) {
+    const fields = [...Object.keys(op.document).filter(name => name !== '_id'), ...(op.unset || [])];
+    const doc = this.transformer.transformPartial(op.source || op.document, fields);
+    doc.source_hash = op.source ? this.buildDocument(op.source).source_hash : null;
+    return doc;
+  }
+
+  async bulkIndex(documents, options = {}) {
     if (!documents || documents.length === 0) {
       return { success: true, processed: 0 };
     }
 
+    // Full syncs, reconciliation and tier moves rewrite documents in bulk and
+    // must not refresh every index once per batch; they only miss the old
+    // copy of a document moved within moments of its last write
+    return this.bulkWrite(documents.map(document => ({ operation: 'upsert', document })), {
+      ...options,
+      relookup: false
+    });
+  }
+
+  // Writes upserts, partial updates and deletes in a single _bulk request, in
+  // the given order.
+  // operations: [{ operation: 'upsert' | 'update' | 'delete', document, routing,
+  //   unset, source, previous, isNew }]
+  // An update carries the changed top-level fields in document, the removed
+  // ones in unset, and the whole source document in source when it is known.
+  // previous is the source document before the change (a change stream
+  // pre-image) and isNew marks a document that was never indexed.
+  // Deletes and updates without a known routing are resolved against the index
+  // first; a delete that still can't be placed is sent without routing.
+  // options.relookup: false skips the refresh and second lookup for documents
+  // this process wrote moments ago.
+  // Hot documents go to the write index plus any dual-write indexes, unless
+  // options.indices names the target indexes explicitly. With tiering,
+  // warm documents go to the warm index, an upsert is deleted from the other
+  // tier and deletes go to both. With partitions every document is looked up
+  // and placed by its pre-image, so that deletes and updates reach the
+  // partition that holds it and an upsert that changes partition (or tier)
+  // removes the old copy.
+  async bulkWrite(operations, options = {}) {
+    if (!operations || operations.length === 0) {
+      return { success: true, processed: 0 };
+    }
+
+    const partitioned = this.isPartitioned() && !options.indices;
+    const tierIndices = {
+      hot: options.indices || [this.indexName, ...this.dualWriteIndices],
+      warm: this.warmIndex ? [this.warmIndex] : []
+    };
+    const indices = [...tierIndices.hot, ...tierIndices.warm];
+
+    const lookupIds = operations
+      .filter(op => partitioned ||
+        (!op.routing && (op.operation === 'delete' || (op.operation === 'update' && !op.source))))
+      .map(op => op.document._id.toString());
+    const locations = await this.lookupRoutings(lookupIds);
+    const partitionOf = (doc, docId) =>
+      this.partitionFor(this.tierOf(doc) === 'warm' ? this.warmIndex : this.indexName, doc, docId);
+
+    // The partition the pre-image belongs to held the document before the change
+    const previousLocations = new Map();
+    if (partitioned) {
+      for (const op of operations.filter(candidate => candidate.previous)) {
+        const index = partitionOf(this.buildDocument(op.previous), op.document._id.toString());
+        if (await this.partitionExists(index)) {
+          previousLocations.set(op, { index, routing: this.getRouting(op.previous) });
+        }
+      }
+    }
+
+    // Lookups only see refreshed documents, so one this process wrote moments
+    // ago is missed. Refresh and look those up again rather than lose the
+    // delete (or, with partitions, the old copy of a moved document); any
+    // other miss is a document that isn't indexed.
+    const unresolved = operations
+      .filter(op => (partitioned
+        ? op.operation !== 'update' && !op.isNew && !previousLocations.has(op)
+        : op.operation === 'delete' && !op.routing))
+      .map(op => op.document._id.toString())
+      .filter(id => !locations.has(id) && this.wasWrittenRecently(id));
+    if (unresolved.length > 0 && options.relookup !== false) {
+      await this.client.indices.refresh({ index: this.searchIndices() });
+      for (const [id, location] of await this.lookupRoutings(unresolved)) {
+        locations.set(id, location);
+      }
+    }
+
+    // Where this request leaves each document it writes; a document upserted
+    // earlier in the request isn't searchable yet
+    const batchLocations = new Map();
+    const locate = (docId) => (batchLocations.has(docId) ? batchLocations.get(docId) : locations.get(docId));
+    // Copies of a partitioned document: where this request left it, or else
+    // where the lookup and the pre-image place it
+    const copiesOf = (op, docId) => {
+      if (batchLocations.has(docId)) {
+        return batchLocations.get(docId) ? [batchLocations.get(docId)] : [];
+      }
+      const found = [locations.get(docId), previousLocations.get(op)].filter(Boolean);
+      return found.filter((copy, position) =>
+        found.findIndex(other => other.index === copy.index && other.routing === copy.routing) === position);
+    };
+
     const body = [];
+    // Updates for documents that aren't indexed, reported as failed items
+    const missingUpdates = [];
+    const partitions = new Set();
+    const written = new Set();
+    // The operation behind each action line, for reporting failed items
+    const actionOperations = [];
+    let skippedDeletes = 0;
+
+    for (const op of operations) {
+      const docId = op.document._id.toString();
+      const location = partitioned ? copiesOf(op, docId)[0] : locate(docId);
 
-    for (const doc of documents) {
-      const docId = doc._id.toString();
+      if (op.operation === 'delete') {
+        const copies = partitioned
+          ? copiesOf(op, docId)
+          : indices.map(index => ({ index, routing: op.routing || (location && location.routing) }));
+        if (copies.length === 0) {
+          // Not in the index, nothing to delete
+          skippedDeletes++;
+          continue;
+        }
 
-      // Process url-filter object to convert ObjectId to string if needed
-      let urlFilter = null;
-      if (doc['url-filter']) {
-        urlFilter = { ...doc['url-filter'] };
-        // Convert url-filter-id ObjectId to string if present
-        if (urlFilter['url-filter-id'] && typeof urlFilter['url-filter-id'].toString === 'function') {
-          urlFilter['url-filter-id'] = urlFilter['url-filter-id'].toString();
+        for (const { index, routing } of copies) {
+          const action = { _index: index, _id: docId };
+          if (routing) {
+            action.routing = routing;
+          }
+          body.push({ delete: action });
+          actionOperations.push(op.operation);
         }
+        batchLocations.set(docId, undefined);
+        continue;
       }
 
-      // Index action
-      body.push({
-        update: {
-          _index: this.indexName,
-          _id: docId,
-          routing: doc.page_id || doc.countrySearchedfor || docId,
-          retry_on_conflict: 3 // Retry up to 3 times on version conflicts
+      if (op.operation === 'update') {
+        let targets = null;
+        if (partitioned) {
+          // The document has to be in the partition its source belongs to;
+          // otherwise the update falls back to an upsert, which moves it
+          const moved = location && op.source && location.index !== partitionOf(this.buildDocument(op.source), docId);
+          targets = location && !moved ? [location.index] : null;
+        } else if (op.source) {
+          targets = tierIndices[this.tierOf(this.buildDocument(op.source))];
+        } else if (location) {
+          targets = location.index === this.warmIndex ? tierIndices.warm : tierIndices.hot;
+        }
+        if (!targets) {
+          missingUpdates.push(docId);
+          continue;
         }
-      });
 
-      // Document content
-      body.push({
-        doc: {
-          mongo_id: docId,
-          ad_archive_id: doc.ad_archive_id,
-          library_id: doc.library_id,
-          page_id: doc.page_id,
-          page_name: doc.page_name,
-          advertiser_name: doc.advertiser_name,
-          status: doc.status,
-          is_active: doc.is_active,
-          started_running_on: doc.started_running_on,
-          start_date: doc.start_date,
-          scraped_at: doc.scraped_at,
-          permalink_url: doc.permalink_url,
-          redirected_final_url: doc.redirected_final_url,
-          currency: doc.currency,
-          keywords: doc.keywords,
-          countrySearchedfor: doc.countrySearchedfor,
-          search_country: doc.search_country,
-          country: doc.country,
-          region: doc.region,
-          platforms: doc.platforms,
-          publisher_platform: doc.publisher_platform,
-          creative: doc.creative,
-          snapshot: doc.snapshot,
-          // Additional fields
-          search_query: doc.search_query,
-          search_media_type: doc.search_media_type,
-          search_type: doc.search_type,
-          categories: doc.categories,
-          page_categories: doc.page_categories,
-          page_like_count: doc.page_like_count,
-          end_date: doc.end_date,
-          collation_id: doc.collation_id,
-          collation_count: doc.collation_count,
-          contains_digital_created_media: doc.contains_digital_created_media,
-          contains_sensitive_content: doc.contains_sensitive_content,
-          is_profile_page: doc.is_profile_page,
-          page_is_deleted: doc.page_is_deleted,
-          page_entity_type: doc.page_entity_type,
-          entity_type: doc.entity_type,
-          gated_type: doc.gated_type,
-          hide_data_status: doc.hide_data_status,
-          is_aaa_eligible: doc.is_aaa_eligible,
-          targeted_or_reached_countries: doc.targeted_or_reached_countries,
-          political_countries: doc.political_countries,
-          // Normalize countrySearchedfor_all to always be an array of objects
-          countrySearchedfor_all: Array.isArray(doc.countrySearchedfor_all)
-            ? doc.countrySearchedfor_all.map(item => {
-              if (typeof item === 'string') {
-                return { country: item, is_active: null };
-              }
-              if (item && typeof item === 'object') {
-                return {
-                  country: item.country || null,
-                  is_active: item.is_active !== undefined ? item.is_active : null
-                };
-              }
-              return null;
-            }).filter(item => item !== null)
-            : doc.countrySearchedfor_all,
-          // URL Filter fields
-          'url-filter': urlFilter,
-          'url-filter-updated-at': doc['url-filter-updated-at'] || null
-        },
-        doc_as_upsert: true
-      });
+        const routing = op.routing || (op.source ? this.getRouting(op.source) : location.routing);
+        const doc = this.buildPartialDocument(op);
+        written.add(docId);
+        for (const index of targets) {
+          const action = { _index: index, _id: docId, retry_on_conflict: 3 };
+          if (routing) {
+            action.routing = routing;
+          }
+          body.push({ update: action });
+          body.push({ doc });
+          actionOperations.push(op.operation);
+        }
+        continue;
+      }
+
+      const routing = op.routing || this.getRouting(op.document);
+      const doc = this.buildDocument(op.document);
+      const tier = this.tierOf(doc);
+      const targets = partitioned ? [partitionOf(doc, docId)] : tierIndices[tier];
+
+      if (partitioned) {
+        partitions.add(targets[0]);
+        // A changed routing would leave the old copy on another shard
+        for (const copy of copiesOf(op, docId)) {
+          if (copy.index === targets[0] && copy.routing === routing) {
+            continue;
+          }
+          const action = { _index: copy.index, _id: docId };
+          if (copy.routing) {
+            action.routing = copy.routing;
+          }
+          body.push({ delete: action });
+          actionOperations.push(op.operation);
+        }
+      } else if (this.warmIndex) {
+        // Moves the document when it changed tiers; a no-op delete otherwise
+        for (const index of tierIndices[tier === 'hot' ? 'warm' : 'hot']) {
+          body.push({ delete: { _index: index, _id: docId, routing } });
+          actionOperations.push(op.operation);
+        }
+      }
+      batchLocations.set(docId, { routing, index: targets[0] });
+      written.add(docId);
+
+      for (const index of targets) {
+        // Index action
+        body.push({
+          update: {
+            _index: index,
+            _id: docId,
+            routing,
+            retry_on_conflict: 3 // Retry up to 3 times on version conflicts
+          }
+        });
+
+        // Document content
+        body.push({
+          doc,
+          doc_as_upsert: true
+        });
+        actionOperations.push(op.operation);
+      }
+    }
+
+    await this.ensurePartitions([...partitions]);
+
+    const missingItems = missingUpdates.map(id => ({
+      id,
+      index: this.indexName,
+      operation: 'update',
+      status: 404,
+      errorType: 'document_missing_exception',
+      errorReason: 'document is not in the index'
+    }));
+
+    if (body.length === 0) {
+      return {
+        success: true,
+        processed: operations.length,
+        errors: missingItems.length,
+        versionConflicts: 0,
+        failedItems: missingItems
+      };
     }
 
     try {
@@ -354,46 +473,118 @@ class OpenSearchService {
         refresh: false // Don't wait for refresh for better performance
       });
 
-      const errors = response.body.items.filter(item =>
-        item.update && item.update.error
-      );
+      const items = response.body.items.map((item, position) => {
+        const [action] = Object.keys(item);
+        return { action, operation: actionOperations[position], ...item[action] };
+      });
+      const errors = items.filter(item => item.error);
 
       // Separate version conflicts from actual errors
       const versionConflicts = errors.filter(item =>
-        item.update.error.type === 'version_conflict_engine_exception'
+        item.error.type === 'version_conflict_engine_exception'
       );
       const actualErrors = errors.filter(item =>
-        item.update.error.type !== 'version_conflict_engine_exception'
+        item.error.type !== 'version_conflict_engine_exception'
       );
 
       if (versionConflicts.length > 0) {
-        logger.debug(`Bulk index had ${versionConflicts.length} version conflicts (retried but still failed)`);
+        logger.debug(`Bulk write had ${versionConflicts.length} version conflicts (retried but still failed)`);
       }
 
       if (actualErrors.length > 0) {
-        logger.warn(`Bulk index completed with ${actualErrors.length} actual errors:`, actualErrors);
+        logger.warn(`Bulk write completed with ${actualErrors.length} actual errors:`, actualErrors);
+      }
+
+      const failedIds = new Set(errors.map(item => item._id));
+      this.rememberWrites([...written].filter(id => !failedIds.has(id)));
+
+      if (skippedDeletes > 0) {
+        logger.debug(`Skipped ${skippedDeletes} deletes for documents not present in the index`);
       }
 
       return {
         success: true,
-        processed: documents.length,
-        errors: actualErrors.length,
+        processed: operations.length,
+        errors: actualErrors.length + missingItems.length,
         versionConflicts: versionConflicts.length,
+        failedItems: [...actualErrors.map(item => ({
+          id: item._id,
+          index: item._index,
+          operation: item.operation,
+          status: item.status,
+          errorType: item.error.type,
+          errorReason: item.error.reason
+        })), ...missingItems],
         took: response.body.took
       };
     } catch (error) {
-      logger.error('Bulk index failed:', error);
+      logger.error('Bulk write failed:', error);
+      throw error;
+    }
+  }
+
+  rememberWrites(ids) {
+    const now = Date.now();
+    for (const id of ids) {
+      // Re-inserted so the map stays ordered by write time
+      this.recentWrites.delete(id);
+      this.recentWrites.set(id, now);
+    }
+    for (const [id, writtenAt] of this.recentWrites) {
+      if (now - writtenAt < RECENT_WRITE_WINDOW_MS) {
+        break;
+      }
+      this.recentWrites.delete(id);
+    }
+  }
+
+  wasWrittenRecently(id) {
+    const writtenAt = this.recentWrites.get(id);
+    return writtenAt !== undefined && Date.now() - writtenAt < RECENT_WRITE_WINDOW_MS;
+  }
+
+  // Finds the routing each document was indexed with, and the index (tier or
+  // partition) it is in, as id -> { routing, index }. Searching without routing
+  // fans out to every shard; documents that aren't indexed are left out of the
+  // map.
+  async lookupRoutings(ids) {
+    const routings = new Map();
+
+    try {
+      for (let start = 0; start < ids.length; start += LOOKUP_CHUNK_SIZE) {
+        const chunk = ids.slice(start, start + LOOKUP_CHUNK_SIZE);
+        const response = await this.client.search({
+          index: this.searchIndices(),
+          body: {
+            size: chunk.length,
+            _source: false,
+            query: { ids: { values: chunk } }
+          }
+        });
+
+        for (const hit of response.body.hits.hits) {
+          routings.set(hit._id, { routing: hit._routing || null, index: hit._index });
+        }
+      }
+
+      return routings;
+    } catch (error) {
+      logger.error('Failed to look up document routings:', error);
       throw error;
     }
   }
 
-  async deleteDocument(docId) {
+  async deleteDocument(docId, routing) {
     try {
-      await this.client.delete({
+      const params = {
         index: this.indexName,
         id: docId,
         refresh: false
-      });
+      };
+      if (routing) {
+        params.routing = routing;
+      }
+      await this.client.delete(params);
       return { success: true };
     } catch (error) {
       if (error.statusCode === 404) {
@@ -408,7 +599,7 @@ class OpenSearchService {
   async healthCheck() {
     try {
       const response = await this.client.cluster.health({
-        index: this.indexName
+        index: this.searchIndices()
       });
 
       return {
@@ -423,16 +614,19 @@ class OpenSearchService {
     }
   }
 
+  // Totals over every tier and partition
   async getIndexStats() {
     try {
       const response = await this.client.indices.stats({
-        index: this.indexName
+        index: this.searchIndices()
       });
+      const total = (metric) => Object.values(response.body.indices).reduce((sum, index) =>
+        sum + metric(index.total), 0);
 
       return {
-        docs_count: response.body.indices[this.indexName].total.docs.count,
-        store_size: response.body.indices[this.indexName].total.store.size_in_bytes,
-        index_size: response.body.indices[this.indexName].total.indexing.index_total
+        docs_count: total(stats => stats.docs.count),
+        store_size: total(stats => stats.store.size_in_bytes),
+        index_size: total(stats => stats.indexing.index_total)
       };
     } catch (error) {
       logger.error('Failed to get index stats:', error);
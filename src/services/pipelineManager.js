@@ -0,0 +1,121 @@
+const logger = require('../utils/logger');
+const { loadPipelines } = require('../config/pipelines');
+const SyncService = require('./syncService');
+
+// Runs one SyncService per configured pipeline in this process. Each pipeline
+// has its own MongoDB connection, change stream, bulk queue and checkpoints, so
+// stopping or failing one leaves the others running.
+class PipelineManager {
+  constructor(pipelines = loadPipelines()) {
+    this.pipelines = new Map(pipelines.map(pipeline => [pipeline.name, new SyncService(pipeline)]));
+    this.primaryName = pipelines[0].name;
+    // Pipelines that failed to initialize, by name, with the error they failed with
+    this.initErrors = new Map();
+  }
+
+  // The first configured pipeline, served by /api/sync
+  getPrimary() {
+    return this.pipelines.get(this.primaryName);
+  }
+
+  get(name) {
+    const syncService = this.pipelines.get(name);
+    if (!syncService) {
+      throw new Error(`Unknown pipeline "${name}"`);
+    }
+    return syncService;
+  }
+
+  has(name) {
+    return this.pipelines.has(name);
+  }
+
+  list() {
+    return [...this.pipelines.values()];
+  }
+
+  // Initializes every pipeline; one failing is recorded and left stopped
+  // while the others carry on. Only fails when none of them could be set up
+  async initialize() {
+    this.initErrors.clear();
+    for (const syncService of this.list()) {
+      const { name } = syncService.pipeline;
+      try {
+        await syncService.initialize();
+      } catch (error) {
+        logger.error(`Failed to initialize pipeline ${name}:`, error);
+        this.initErrors.set(name, error);
+      }
+    }
+
+    const initialized = [...this.pipelines.keys()].filter(name => !this.initErrors.has(name));
+    if (initialized.length === 0) {
+      throw new Error(`No pipeline could be initialized: ${[...this.initErrors.keys()].join(', ')}`);
+    }
+    logger.info(`Initialized ${initialized.length} pipeline(s): ${initialized.join(', ')}`);
+    if (this.initErrors.size > 0) {
+      logger.warn(`${this.initErrors.size} pipeline(s) failed to initialize: ${[...this.initErrors.keys()].join(', ')}`);
+    }
+  }
+
+  // Starts the change stream of every enabled pipeline; one failing to start
+  // does not keep the others from running
+  async startAll() {
+    for (const syncService of this.list()) {
+      if (!syncService.pipeline.enabled) {
+        logger.info(`Pipeline ${syncService.pipeline.name} is disabled, not starting it`);
+        continue;
+      }
+      if (this.initErrors.has(syncService.pipeline.name)) {
+        logger.warn(`Pipeline ${syncService.pipeline.name} failed to initialize, not starting it`);
+        continue;
+      }
+
+      try {
+        await syncService.start();
+      } catch (error) {
+        logger.error(`Failed to start pipeline ${syncService.pipeline.name}:`, error);
+      }
+    }
+  }
+
+  async stopAll() {
+    for (const syncService of this.list()) {
+      if (syncService.isRunning) {
+        await syncService.stop();
+      }
+    }
+  }
+
+  async disconnect() {
+    for (const syncService of this.list()) {
+      await syncService.mongodbService.disconnect();
+    }
+  }
+
+  describe(syncService) {
+    const { pipeline } = syncService;
+    return {
+      name: pipeline.name,
+      primary: pipeline.name === this.primaryName,
+      enabled: pipeline.enabled,
+      isRunning: syncService.isRunning,
+      status: this.initErrors.has(pipeline.name) ? 'failed' : syncService.isRunning ? 'running' : 'stopped',
+      error: this.initErrors.has(pipeline.name) ? this.initErrors.get(pipeline.name).message : null,
+      source: `${pipeline.mongodb.database}.${pipeline.mongodb.collection}`,
+      index: syncService.opensearchService.tierIndex('hot'),
+      alias: pipeline.opensearch.indexAlias
+    };
+  }
+
+  async getStatus(name) {
+    const syncService = this.get(name);
+    return {
+      ...this.describe(syncService),
+      settings: syncService.pipeline.sync,
+      stats: await syncService.getStats()
+    };
+  }
+}
+
+module.exports = PipelineManager;
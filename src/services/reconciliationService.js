@@ -1,20 +1,44 @@
+const { ObjectId } = require('mongodb');
 const config = require('../config');
 const logger = require('../utils/logger');
+const SyncScope = require('./syncScope');
+
+// How long OpenSearch keeps a point-in-time alive between pages
+const PIT_KEEP_ALIVE = '5m';
 
 class ReconciliationService {
-  constructor(mongodbService, opensearchService) {
+  // options.catchUpFields: date fields marking recently changed documents;
+  // options.syncScope: the pipeline's SyncScope. Only MongoDB documents in scope
+  // are expected in the index, so anything indexed outside it is an orphan.
+  // options.checkpointStore keeps the time of the last full check across
+  // restarts; without it every restart runs a full check first.
+  // options.deadLetterQueue receives the documents OpenSearch refuses to index.
+  constructor(mongodbService, opensearchService, options = {}) {
     this.mongodbService = mongodbService;
     this.opensearchService = opensearchService;
+    this.catchUpFields = options.catchUpFields || config.sync.catchUpFields;
+    this.syncScope = options.syncScope || new SyncScope();
+    this.checkpointStore = options.checkpointStore || null;
+    this.deadLetterQueue = options.deadLetterQueue || null;
+    this.fullCheckKey = `reconciliation-full-check:${mongodbService.settings.database}.${mongodbService.settings.collection}`;
     this.isRunning = false;
     this.intervalId = null;
+    this.checkInProgress = false;
     this.stats = {
       lastCheck: null,
       lastSync: null,
       totalChecks: 0,
       totalSyncs: 0,
       documentsSynced: 0,
+      lastContentCheck: null,
+      orphansDeleted: 0,
+      lastOrphanCleanup: null,
+      lastFullCheck: null,
+      lastWindowCheck: null,
       errors: 0
     };
+    // Outcome of each windowed check, oldest first
+    this.windowHistory = [];
   }
 
   async start(intervalMs = 30 * 60 * 1000) { // Default: 30 minutes
@@ -26,6 +50,9 @@ class ReconciliationService {
     this.isRunning = true;
     logger.info(`Starting reconciliation service with ${intervalMs}ms interval (${intervalMs / 60000} minutes)`);
 
+    await this.restoreLastFullCheck();
+    await this.checkWindowIndexes();
+
     // Run immediately on start
     await this.checkAndSync();
 
@@ -51,101 +78,176 @@ class ReconciliationService {
     logger.info('Reconciliation service stopped');
   }
 
-  async checkAndSync() {
-    if (!this.isRunning) {
+  // options.manual runs the check even when periodic reconciliation is stopped;
+  // options.scope ('window' or 'full') picks a windowed or full comparison;
+  // scheduled checks use the window except for the nightly full run, manual
+  // checks default to full; options.windowHours overrides the window length;
+  // options.mode ('count' or 'content') overrides the configured full-check mode;
+  // options.deleteOrphans / dryRun / maxDeletes override the orphan cleanup settings;
+  // options.filter (MongoDB) with options.opensearchFilter (query) limit a count
+  // or window check to a subset of documents, e.g. diverging count buckets;
+  // options.signal / options.onProgress are supplied when run as a background job
+  async checkAndSync(options = {}) {
+    if (!this.isRunning && !options.manual) {
       return;
     }
 
+    if (this.checkInProgress) {
+      logger.warn('Reconciliation check already in progress, skipping');
+      return { success: false, skipped: true, error: 'Reconciliation check already in progress' };
+    }
+
+    this.checkInProgress = true;
+
     try {
       logger.info('🔍 Starting reconciliation check...');
       this.stats.totalChecks++;
       this.stats.lastCheck = new Date();
 
-      // Get document counts
-      const mongoCount = await this.mongodbService.collection.countDocuments();
-      const osStats = await this.opensearchService.getIndexStats();
-      const osCount = osStats.docs_count;
-
-      const difference = mongoCount - osCount;
+      // The sync scope narrows the MongoDB side of every comparison
+      options = { ...options, filter: this.syncScope.mongoFilter(options.filter) };
 
-      logger.info(`📊 Count comparison - MongoDB: ${mongoCount}, OpenSearch: ${osCount}, Difference: ${difference}`);
-
-      if (difference === 0) {
-        logger.info('✅ Counts match! No reconciliation needed.');
-        return { 
-          success: true, 
-          inSync: true, 
-          mongoCount, 
-          opensearchCount: osCount,
-          difference: 0,
-          synced: 0 
-        };
+      const scope = options.scope || (options.manual || this.isFullCheckDue() ? 'full' : 'window');
+      if (scope === 'window') {
+        return await this.reconcileWindow(options);
       }
-
-      if (difference > 0) {
-        logger.info(`⚠️  MongoDB has ${difference} more documents. Finding and syncing missing documents...`);
-        const result = await this.syncMissingDocuments();
-        return result;
-      } else {
-        logger.warn(`⚠️  OpenSearch has ${Math.abs(difference)} more documents than MongoDB (orphaned documents)`);
-        logger.info('Consider cleaning up orphaned documents from OpenSearch');
-        return {
-          success: true,
-          inSync: false,
-          mongoCount,
-          opensearchCount: osCount,
-          difference,
-          synced: 0,
-          orphanedDocs: Math.abs(difference)
-        };
+      const result = await this.reconcileFull(options);
+      // Only a full check that ran to the end postpones the next one
+      if (result.success && !result.cancelled) {
+        await this.recordFullCheck();
       }
+      return result;
 
     } catch (error) {
       this.stats.errors++;
       logger.error('❌ Reconciliation check failed:', error);
       return { success: false, error: error.message };
+    } finally {
+      this.checkInProgress = false;
     }
   }
 
-  async syncMissingDocuments() {
+  // Full comparison: per-document content hashes, or counts followed by an id
+  // diff in whichever direction they differ
+  async reconcileFull(options) {
+    if ((options.mode || config.reconciliation.mode) === 'content') {
+      return await this.reconcileContent(options);
+    }
+
+    // Get document counts
+    const mongoCount = await this.mongodbService.collection.countDocuments(options.filter);
+    const osCount = options.opensearchFilter
+      ? (await this.opensearchService.client.count({
+        index: this.opensearchService.searchIndices(),
+        body: { query: options.opensearchFilter }
+      })).body.count
+      : (await this.opensearchService.getIndexStats()).docs_count;
+
+    const difference = mongoCount - osCount;
+
+    logger.info(`📊 Count comparison - MongoDB: ${mongoCount}, OpenSearch: ${osCount}, Difference: ${difference}`);
+
+    if (difference === 0) {
+      logger.info('✅ Counts match! No reconciliation needed.');
+      return { 
+        success: true, 
+        inSync: true, 
+        mongoCount, 
+        opensearchCount: osCount,
+        difference: 0,
+        synced: 0 
+      };
+    }
+
+    if (difference > 0) {
+      logger.info(`⚠️  MongoDB has ${difference} more documents. Finding and syncing missing documents...`);
+      const result = await this.syncMissingDocuments(options);
+      return result;
+    } else {
+      logger.warn(`⚠️  OpenSearch has ${Math.abs(difference)} more documents than MongoDB (orphaned documents)`);
+
+      const dryRun = options.dryRun !== undefined ? Boolean(options.dryRun) : config.reconciliation.orphanCleanup.dryRun;
+      const deleteOrphans = options.deleteOrphans !== undefined
+        ? Boolean(options.deleteOrphans)
+        : (config.reconciliation.orphanCleanup.enabled || dryRun);
+
+      if (!deleteOrphans) {
+        logger.info('Orphan cleanup is disabled (RECONCILIATION_DELETE_ORPHANS), leaving orphaned documents in place');
+      }
+
+      const orphanCleanup = deleteOrphans
+        ? await this.cleanupOrphans({ ...options, dryRun })
+        : null;
+
+      return {
+        success: !orphanCleanup || orphanCleanup.errors === 0,
+        inSync: Boolean(orphanCleanup) && !orphanCleanup.dryRun && !orphanCleanup.capped &&
+          !orphanCleanup.cancelled && orphanCleanup.errors === 0,
+        mongoCount,
+        opensearchCount: osCount,
+        difference,
+        synced: 0,
+        orphanedDocs: Math.abs(difference),
+        orphanCleanup
+      };
+    }
+  }
+
+  // Streams the id diff and syncs missing documents as they are found, so only
+  // one batch of ids is held in memory however large the collection is
+  async syncMissingDocuments(options = {}) {
+    const batchSize = 1000;
+    const reportProgress = options.onProgress || (() => {});
+    const pending = [];
+    let missingCount = 0;
+    let orphanCount = 0;
+    let synced = 0;
+    let cancelled = false;
+
+    const syncPending = async () => {
+      synced += await this.syncDocumentsByIds(pending.splice(0), { signal: options.signal });
+      reportProgress({ missing: missingCount, orphaned: orphanCount, synced });
+    };
+
     try {
       logger.info('🔄 Identifying missing documents...');
 
-      // Get all MongoDB document IDs
-      const mongoIds = await this.mongodbService.collection
-        .find({}, { projection: { _id: 1 } })
-        .toArray();
-      
-      const mongoIdSet = new Set(mongoIds.map(doc => doc._id.toString()));
-      logger.info(`Found ${mongoIdSet.size} documents in MongoDB`);
-
-      // Get all OpenSearch document IDs in batches
-      const osIdSet = await this.getAllOpenSearchIds();
-      logger.info(`Found ${osIdSet.size} documents in OpenSearch`);
-
-      // Find missing IDs
-      const missingIds = [];
-      for (const id of mongoIdSet) {
-        if (!osIdSet.has(id)) {
-          missingIds.push(id);
+      for await (const entry of this.streamIdDiff(1000, options)) {
+        if (options.signal && options.signal.aborted) {
+          logger.warn(`Reconciliation sync cancelled after ${synced} documents`);
+          cancelled = true;
+          break;
+        }
+
+        if (entry.type === 'orphan') {
+          orphanCount++;
+          continue;
+        }
+
+        missingCount++;
+        pending.push(entry.id);
+        if (pending.length >= batchSize) {
+          await syncPending();
         }
       }
 
-      logger.info(`📝 Found ${missingIds.length} missing documents in OpenSearch`);
+      if (pending.length > 0 && !cancelled) {
+        await syncPending();
+      }
 
-      if (missingIds.length === 0) {
+      logger.info(`📝 Found ${missingCount} missing documents in OpenSearch (${orphanCount} orphaned)`);
+
+      if (missingCount === 0) {
         logger.info('✅ All MongoDB documents exist in OpenSearch');
         return {
           success: true,
           inSync: true,
           synced: 0,
-          missingCount: 0
+          missingCount: 0,
+          orphanCount
         };
       }
 
-      // Sync missing documents in batches
-      const synced = await this.syncDocumentsByIds(missingIds);
-
       this.stats.totalSyncs++;
       this.stats.lastSync = new Date();
       this.stats.documentsSynced += synced;
@@ -154,9 +256,11 @@ class ReconciliationService {
 
       return {
         success: true,
-        inSync: true,
+        inSync: !cancelled,
         synced,
-        missingCount: missingIds.length
+        missingCount,
+        orphanCount,
+        cancelled
       };
 
     } catch (error) {
@@ -165,19 +269,307 @@ class ReconciliationService {
     }
   }
 
-  async getAllOpenSearchIds() {
-    const ids = new Set();
+  // Merge-joins MongoDB _ids and indexed mongo_ids, both read in ascending
+  // order, yielding { type: 'missing' | 'orphan', id } for every mismatch.
+  // ObjectId order matches the order of their hex strings. scope.filter and
+  // scope.opensearchFilter restrict both sides to the same subset.
+  async *streamIdDiff(chunkSize = 1000, scope = {}) {
+    const cursor = this.mongodbService.collection
+      .find(scope.filter || {}, { projection: { _id: 1 } })
+      .sort({ _id: 1 })
+      .batchSize(chunkSize);
+    const mongoIds = cursor[Symbol.asyncIterator]();
+    const indexedIds = this.streamOpenSearchIds(chunkSize, scope.opensearchFilter);
+
+    const nextMongoId = async () => {
+      const { value, done } = await mongoIds.next();
+      return done ? null : value._id.toString();
+    };
+    const nextIndexedId = async () => {
+      const { value, done } = await indexedIds.next();
+      return done ? null : value;
+    };
+
+    try {
+      let mongoId = await nextMongoId();
+      let indexedId = await nextIndexedId();
+
+      while (mongoId !== null || indexedId !== null) {
+        if (indexedId === null || (mongoId !== null && mongoId < indexedId)) {
+          yield { type: 'missing', id: mongoId };
+          mongoId = await nextMongoId();
+        } else if (mongoId === null || indexedId < mongoId) {
+          yield { type: 'orphan', id: indexedId };
+          indexedId = await nextIndexedId();
+        } else {
+          mongoId = await nextMongoId();
+          indexedId = await nextIndexedId();
+        }
+      }
+    } finally {
+      await cursor.close();
+      await indexedIds.return();
+    }
+  }
+
+  // Yields indexed mongo_ids in ascending order. A point-in-time keeps the
+  // pages consistent while documents are written; clusters without PIT support
+  // fall back to plain search_after paging.
+  async *streamOpenSearchIds(pageSize = 1000, query = { match_all: {} }) {
+    const client = this.opensearchService.client;
+    const index = this.opensearchService.searchIndices();
+    let pitId = null;
+    let searchAfter = null;
+
+    try {
+      const response = await client.createPit({ index, keep_alive: PIT_KEEP_ALIVE });
+      pitId = response.body.pit_id;
+    } catch (error) {
+      logger.debug(`Point-in-time search unavailable, paging without it: ${error.message}`);
+    }
+
+    try {
+      while (true) {
+        const searchParams = {
+          body: {
+            size: pageSize,
+            _source: ['mongo_id'],
+            query,
+            sort: [{ mongo_id: 'asc' }]
+          }
+        };
+
+        if (pitId) {
+          searchParams.body.pit = { id: pitId, keep_alive: PIT_KEEP_ALIVE };
+        } else {
+          searchParams.index = index;
+        }
+        if (searchAfter) {
+          searchParams.body.search_after = searchAfter;
+        }
+
+        const response = await client.search(searchParams);
+        const hits = response.body.hits.hits;
+
+        if (hits.length === 0) {
+          break;
+        }
+
+        for (const hit of hits) {
+          yield (hit._source && hit._source.mongo_id) || hit._id;
+        }
+
+        pitId = response.body.pit_id || pitId;
+        searchAfter = hits[hits.length - 1].sort;
+      }
+    } finally {
+      if (pitId) {
+        await client.deletePit({ body: { pit_id: [pitId] } }).catch(error =>
+          logger.debug(`Failed to delete point-in-time: ${error.message}`));
+      }
+    }
+  }
+
+  // Compares content hashes one _id range at a time: a chunk of MongoDB
+  // documents is read in _id order and the same mongo_id range is fetched from
+  // the index, narrowed by options.opensearchFilter like the MongoDB side is by
+  // options.filter. Missing and stale documents are re-indexed, orphans are
+  // counted, including those before the first and after the last MongoDB _id.
+  async reconcileContent(options = {}) {
+    const chunkSize = options.chunkSize || config.reconciliation.contentChunkSize;
+    const reportProgress = options.onProgress || (() => {});
+    const result = { checked: 0, missing: 0, stale: 0, orphaned: 0, reindexed: 0, errors: 0 };
+    const withFilter = (query) => ({
+      bool: { filter: [query, ...(options.opensearchFilter ? [options.opensearchFilter] : [])] }
+    });
+    let firstId = null;
+    let lastId = null;
+    let cancelled = false;
+
+    logger.info('🔍 Comparing document content hashes...');
+    const filter = options.filter || {};
+    const total = await this.mongodbService.collection.countDocuments(filter);
+    reportProgress({ processed: 0, total, ...result });
+
+    while (true) {
+      if (options.signal && options.signal.aborted) {
+        logger.warn(`Content reconciliation cancelled after ${result.checked} documents`);
+        cancelled = true;
+        break;
+      }
+
+      const documents = await this.mongodbService.collection
+        .find(lastId ? { $and: [filter, { _id: { $gt: lastId } }] } : filter)
+        .sort({ _id: 1 })
+        .limit(chunkSize)
+        .toArray();
+      if (documents.length === 0) {
+        break;
+      }
+
+      const range = lastId ? { gt: lastId.toString() } : { gte: documents[0]._id.toString() };
+      range.lte = documents[documents.length - 1]._id.toString();
+      const indexedHashes = await this.getIndexedHashes(withFilter({ range: { mongo_id: range } }));
+      await this.compareDocuments(documents, indexedHashes, result);
+
+      // Whatever is left in the range has no MongoDB source in the filter;
+      // those still in scope only fall outside the MongoDB filter
+      if (indexedHashes.size > 0) {
+        const existing = await this.mongodbService.findDocumentsByIds(
+          [...indexedHashes.keys()],
+          { projection: { _id: 1 }, filter: this.syncScope.mongoFilter() }
+        );
+        result.orphaned += indexedHashes.size - existing.length;
+      }
+
+      reportProgress({ processed: result.checked, ...result });
+
+      firstId = firstId || documents[0]._id;
+      lastId = documents[documents.length - 1]._id;
+      if (documents.length < chunkSize) {
+        break;
+      }
+    }
+
+    // Indexed documents outside MongoDB's _id span
+    if (!cancelled) {
+      const outside = firstId
+        ? [{ range: { mongo_id: { lt: firstId.toString() } } }, { range: { mongo_id: { gt: lastId.toString() } } }]
+        : [{ match_all: {} }];
+      for (const query of outside) {
+        result.orphaned += await this.countOrphans(withFilter(query));
+      }
+      reportProgress({ processed: result.checked, ...result });
+    }
+
+    if (result.reindexed > 0) {
+      this.stats.totalSyncs++;
+      this.stats.lastSync = new Date();
+      this.stats.documentsSynced += result.reindexed;
+    }
+    this.stats.lastContentCheck = { ...result, cancelled, completedAt: new Date() };
+
+    logger.info(`✅ Content reconciliation ${cancelled ? 'cancelled' : 'complete'}: ` +
+      `${result.checked} checked, ${result.missing} missing, ${result.stale} stale, ` +
+      `${result.orphaned} orphaned, ${result.reindexed} re-indexed`);
+
+    return {
+      success: result.errors === 0,
+      mode: 'content',
+      inSync: !cancelled && result.errors === 0 && result.orphaned === 0,
+      synced: result.reindexed,
+      cancelled,
+      ...result
+    };
+  }
+
+  // Re-indexes the documents that are missing from indexedHashes or whose hash
+  // differs, tallying into result. Matched ids are removed from indexedHashes.
+  async compareDocuments(documents, indexedHashes, result) {
+    const reindex = [];
+
+    for (const document of documents) {
+      const id = document._id.toString();
+
+      if (!indexedHashes.has(id)) {
+        result.missing++;
+        reindex.push(document);
+      } else if (indexedHashes.get(id) !== this.opensearchService.buildDocument(document).source_hash) {
+        result.stale++;
+        reindex.push(document);
+      }
+
+      indexedHashes.delete(id);
+    }
+
+    result.checked += documents.length;
+
+    if (reindex.length > 0) {
+      const writeResult = await this.opensearchService.bulkIndex(reindex);
+      await this.deadLetter(writeResult.failedItems);
+      result.reindexed += reindex.length - writeResult.errors;
+      result.errors += writeResult.errors;
+    }
+  }
+
+  // Returns a Map of document id -> source_hash (null when the document was
+  // indexed before hashes were stored) for the documents matching query, which
+  // bounds them to one chunk's mongo_id range
+  async getIndexedHashes(query) {
+    const hashes = new Map();
     const batchSize = 1000;
     let searchAfter = null;
 
     try {
       while (true) {
         const searchParams = {
-          index: this.opensearchService.indexName,
+          index: this.opensearchService.searchIndices(),
+          body: {
+            size: batchSize,
+            _source: ['source_hash'],
+            query,
+            sort: [{ mongo_id: 'asc' }]
+          }
+        };
+
+        if (searchAfter) {
+          searchParams.body.search_after = searchAfter;
+        }
+
+        const response = await this.opensearchService.client.search(searchParams);
+        const hits = response.body.hits.hits;
+
+        if (hits.length === 0) {
+          break;
+        }
+
+        hits.forEach(hit => hashes.set(hit._id, (hit._source && hit._source.source_hash) || null));
+        searchAfter = hits[hits.length - 1].sort;
+      }
+
+      return hashes;
+
+    } catch (error) {
+      logger.error('Failed to fetch indexed content hashes:', error);
+      throw error;
+    }
+  }
+
+  // Pages through the index in _id order and deletes (with their routing) the
+  // documents that no longer exist in MongoDB or fall outside the sync scope. At most options.maxDeletes
+  // orphans are handled per run; a dry run only lists them.
+  async cleanupOrphans(options = {}) {
+    const maxDeletes = options.maxDeletes || config.reconciliation.orphanCleanup.maxDeletesPerRun;
+    const batchSize = 1000;
+    const outcome = {
+      dryRun: Boolean(options.dryRun),
+      maxDeletes,
+      scanned: 0,
+      orphansFound: 0,
+      deleted: 0,
+      errors: 0,
+      capped: false,
+      cancelled: false,
+      orphanIds: []
+    };
+    let searchAfter = null;
+
+    logger.info(`🧹 ${outcome.dryRun ? 'Listing' : 'Removing'} orphaned documents (limit ${maxDeletes})...`);
+
+    try {
+      while (!outcome.capped) {
+        if (options.signal && options.signal.aborted) {
+          logger.warn(`Orphan cleanup cancelled after scanning ${outcome.scanned} documents`);
+          outcome.cancelled = true;
+          break;
+        }
+
+        const searchParams = {
+          index: this.opensearchService.searchIndices(),
           body: {
             size: batchSize,
             _source: false,
-            query: { match_all: {} },
+            query: options.opensearchFilter || { match_all: {} },
             sort: [{ _id: 'asc' }]
           }
         };
@@ -193,34 +585,323 @@ class ReconciliationService {
           break;
         }
 
-        hits.forEach(hit => ids.add(hit._id));
-
-        // Get the last sort value for pagination
+        outcome.scanned += hits.length;
         searchAfter = hits[hits.length - 1].sort;
 
-        logger.debug(`Fetched ${ids.size} OpenSearch document IDs...`);
-      }
+        const existing = await this.mongodbService.findDocumentsByIds(
+          hits.map(hit => hit._id),
+          { projection: { _id: 1 }, filter: this.syncScope.mongoFilter() }
+        );
+        const existingIds = new Set(existing.map(doc => doc._id.toString()));
+        let orphans = hits.filter(hit => !existingIds.has(hit._id));
+
+        if (outcome.orphansFound + orphans.length >= maxDeletes) {
+          orphans = orphans.slice(0, maxDeletes - outcome.orphansFound);
+          outcome.capped = true;
+        }
+        outcome.orphansFound += orphans.length;
+
+        if (orphans.length === 0) {
+          continue;
+        }
 
-      return ids;
+        if (outcome.dryRun) {
+          outcome.orphanIds.push(...orphans.map(hit => hit._id));
+          continue;
+        }
 
+        const result = await this.opensearchService.bulkWrite(orphans.map(hit => ({
+          operation: 'delete',
+          document: { _id: hit._id },
+          routing: hit._routing
+        })));
+        outcome.deleted += orphans.length - result.errors;
+        outcome.errors += result.errors;
+        outcome.orphanIds.push(...orphans.map(hit => hit._id));
+      }
     } catch (error) {
-      logger.error('Failed to fetch OpenSearch IDs:', error);
+      logger.error('❌ Orphan cleanup failed:', error);
+      this.stats.lastOrphanCleanup = { ...this.summarizeOrphanCleanup(outcome), error: error.message, completedAt: new Date() };
       throw error;
     }
+
+    if (outcome.capped) {
+      logger.warn(`Orphan cleanup stopped at the limit of ${maxDeletes} documents, more may remain`);
+    }
+    logger.info(outcome.dryRun
+      ? `🧹 Dry run: ${outcome.orphansFound} orphaned documents would be deleted`
+      : `🧹 Deleted ${outcome.deleted} orphaned documents (${outcome.errors} errors)`);
+
+    this.stats.orphansDeleted += outcome.deleted;
+    this.stats.lastOrphanCleanup = { ...this.summarizeOrphanCleanup(outcome), completedAt: new Date() };
+
+    return outcome;
+  }
+
+  // Stats keep the counts only, the id list can be long
+  summarizeOrphanCleanup(outcome) {
+    const { orphanIds, ...summary } = outcome;
+    return summary;
+  }
+
+  // Reconciles only documents created or modified in the last windowHours
+  // hours (by _id time or one of the catch-up date fields). The window is
+  // small, so it always compares content hashes rather than just counts.
+  async reconcileWindow(options = {}) {
+    const windowHours = options.windowHours || config.reconciliation.windowHours;
+    const chunkSize = options.chunkSize || config.reconciliation.contentChunkSize;
+    const reportProgress = options.onProgress || (() => {});
+    const to = new Date();
+    const from = new Date(to.getTime() - windowHours * 60 * 60 * 1000);
+    const result = { checked: 0, missing: 0, stale: 0, orphaned: 0, reindexed: 0, errors: 0 };
+    let cancelled = false;
+
+    logger.info(`🔍 Reconciling documents changed since ${from.toISOString()} (${windowHours}h window)...`);
+
+    const windowFilter = {
+      $or: [
+        { _id: { $gte: ObjectId.createFromTime(Math.floor(from.getTime() / 1000)) } },
+        ...this.catchUpFields.map(field => ({ [field]: { $gte: from } }))
+      ]
+    };
+    const filter = options.filter ? { $and: [windowFilter, options.filter] } : windowFilter;
+    const cursor = this.mongodbService.collection.find(filter).sort({ _id: 1 }).batchSize(chunkSize);
+    let chunk = [];
+
+    const compareChunk = async () => {
+      const indexedHashes = await this.getIndexedHashesByIds(chunk.map(doc => doc._id.toString()));
+      await this.compareDocuments(chunk, indexedHashes, result);
+      chunk = [];
+      reportProgress({ processed: result.checked, ...result });
+    };
+
+    try {
+      for await (const document of cursor) {
+        if (options.signal && options.signal.aborted) {
+          cancelled = true;
+          break;
+        }
+
+        chunk.push(document);
+        if (chunk.length >= chunkSize) {
+          await compareChunk();
+        }
+      }
+
+      if (chunk.length > 0 && !cancelled) {
+        await compareChunk();
+      }
+
+      if (!cancelled) {
+        result.orphaned = await this.countWindowOrphans(from, options.opensearchFilter);
+      }
+    } finally {
+      await cursor.close();
+    }
+
+    const outcome = {
+      from,
+      to,
+      windowHours,
+      ...result,
+      driftDetected: result.missing + result.stale + result.orphaned > 0,
+      cancelled,
+      completedAt: new Date()
+    };
+    this.recordWindow(outcome);
+
+    if (result.reindexed > 0) {
+      this.stats.totalSyncs++;
+      this.stats.lastSync = new Date();
+      this.stats.documentsSynced += result.reindexed;
+    }
+
+    logger.info(`✅ Window reconciliation ${cancelled ? 'cancelled' : 'complete'}: ` +
+      `${result.checked} checked, ${result.missing} missing, ${result.stale} stale, ` +
+      `${result.orphaned} orphaned, ${result.reindexed} re-indexed`);
+
+    return {
+      success: result.errors === 0,
+      scope: 'window',
+      inSync: !cancelled && result.errors === 0 && result.orphaned === 0,
+      synced: result.reindexed,
+      ...outcome
+    };
   }
 
-  async syncDocumentsByIds(ids) {
+  // Counts indexed documents in the window whose MongoDB source is gone or out of scope
+  async countWindowOrphans(from, opensearchFilter = null) {
+    const fromId = ObjectId.createFromTime(Math.floor(from.getTime() / 1000)).toHexString();
+    return this.countOrphans({
+      bool: {
+        should: [
+          { range: { mongo_id: { gte: fromId } } },
+          ...this.catchUpFields.map(field => ({ range: { [field]: { gte: from.toISOString() } } }))
+        ],
+        minimum_should_match: 1,
+        ...(opensearchFilter ? { filter: [opensearchFilter] } : {})
+      }
+    });
+  }
+
+  // Counts the indexed documents matching query whose MongoDB source is gone
+  // or out of scope, a page at a time
+  async countOrphans(query) {
+    const batchSize = 1000;
+    let searchAfter = null;
+    let orphaned = 0;
+
+    while (true) {
+      const searchParams = {
+        index: this.opensearchService.searchIndices(),
+        body: {
+          size: batchSize,
+          _source: false,
+          query,
+          sort: [{ mongo_id: 'asc' }]
+        }
+      };
+
+      if (searchAfter) {
+        searchParams.body.search_after = searchAfter;
+      }
+
+      const response = await this.opensearchService.client.search(searchParams);
+      const hits = response.body.hits.hits;
+
+      if (hits.length === 0) {
+        break;
+      }
+
+      const existing = await this.mongodbService.findDocumentsByIds(
+        hits.map(hit => hit._id),
+        { projection: { _id: 1 }, filter: this.syncScope.mongoFilter() }
+      );
+      orphaned += hits.length - existing.length;
+      searchAfter = hits[hits.length - 1].sort;
+    }
+
+    return orphaned;
+  }
+
+  async getIndexedHashesByIds(ids) {
+    const hashes = new Map();
+    if (ids.length === 0) {
+      return hashes;
+    }
+
+    const response = await this.opensearchService.client.search({
+      index: this.opensearchService.searchIndices(),
+      body: {
+        size: ids.length,
+        _source: ['source_hash'],
+        query: { ids: { values: ids } }
+      }
+    });
+
+    response.body.hits.hits.forEach(hit => hashes.set(hit._id, (hit._source && hit._source.source_hash) || null));
+    return hashes;
+  }
+
+  recordWindow(outcome) {
+    this.windowHistory.push(outcome);
+    if (this.windowHistory.length > config.reconciliation.windowHistoryLimit) {
+      this.windowHistory.shift();
+    }
+    this.stats.lastWindowCheck = outcome.completedAt;
+  }
+
+  // Newest first; driftOnly keeps the windows where something was out of sync
+  getWindowHistory({ driftOnly = false } = {}) {
+    return this.windowHistory
+      .filter(window => !driftOnly || window.driftDetected)
+      .slice()
+      .reverse();
+  }
+
+  async restoreLastFullCheck() {
+    if (!this.checkpointStore) {
+      return;
+    }
+
+    try {
+      const lastFullCheck = await this.checkpointStore.load(this.fullCheckKey);
+      if (lastFullCheck) {
+        this.stats.lastFullCheck = new Date(lastFullCheck);
+        logger.info(`Last full reconciliation check ran at ${this.stats.lastFullCheck.toISOString()}`);
+      }
+    } catch (error) {
+      logger.warn('Could not load the time of the last full reconciliation check, the next check runs in full:', error.message);
+    }
+  }
+
+  async recordFullCheck() {
+    this.stats.lastFullCheck = new Date();
+    if (this.checkpointStore) {
+      try {
+        await this.checkpointStore.save(this.fullCheckKey, this.stats.lastFullCheck);
+      } catch (error) {
+        logger.warn('Could not save the time of the last full reconciliation check:', error.message);
+      }
+    }
+  }
+
+  // Without an index on each catch-up field the window filter's $or scans the
+  // whole collection. Creating indexes on the source collection is left to its
+  // owners, so missing ones are only reported.
+  async checkWindowIndexes() {
+    if (!config.reconciliation.windowHours) {
+      return;
+    }
+
+    try {
+      const indexes = await this.mongodbService.collection.indexes();
+      const leadingFields = new Set(indexes.map(index => Object.keys(index.key)[0]));
+      const missing = this.catchUpFields.filter(field => !leadingFields.has(field));
+      if (missing.length > 0) {
+        logger.warn(`⚠️ Windowed reconciliation scans the whole collection without indexes on ${missing.join(', ')}; ` +
+          `create them with ${missing.map(field => `createIndex({ "${field}": 1 })`).join(', ')}`);
+      }
+    } catch (error) {
+      logger.warn('Could not check the indexes used by windowed reconciliation:', error.message);
+    }
+  }
+
+  // Periodic checks reconcile the recent window; the full comparison runs once
+  // a day, on the first check after fullCheckHour
+  isFullCheckDue(now = new Date()) {
+    if (!config.reconciliation.windowHours) {
+      return true;
+    }
+
+    const lastDue = new Date(now);
+    lastDue.setHours(config.reconciliation.fullCheckHour, 0, 0, 0);
+    if (now < lastDue) {
+      lastDue.setDate(lastDue.getDate() - 1);
+    }
+
+    return !this.stats.lastFullCheck || this.stats.lastFullCheck < lastDue;
+  }
+
+  async syncDocumentsByIds(ids, options = {}) {
     const batchSize = 100;
+    const reportProgress = options.onProgress || (() => {});
     let synced = 0;
+    let errors = 0;
 
     logger.info(`Starting to sync ${ids.length} documents in batches of ${batchSize}...`);
+    reportProgress({ processed: 0, total: ids.length, errors: 0 });
 
     for (let i = 0; i < ids.length; i += batchSize) {
+      if (options.signal && options.signal.aborted) {
+        logger.warn(`Reconciliation sync cancelled after ${synced} documents`);
+        break;
+      }
+
       const batchIds = ids.slice(i, i + batchSize);
       
       try {
         // Convert string IDs back to ObjectId for MongoDB query
-        const { ObjectId } = require('mongodb');
         const objectIds = batchIds.map(id => {
           try {
             return new ObjectId(id);
@@ -237,6 +918,7 @@ class ReconciliationService {
         if (documents.length > 0) {
           // Sync to OpenSearch
           const result = await this.opensearchService.bulkIndex(documents);
+          await this.deadLetter(result.failedItems);
           synced += documents.length;
 
           const batchNum = Math.floor(i / batchSize) + 1;
@@ -244,25 +926,43 @@ class ReconciliationService {
           logger.info(`Synced batch ${batchNum}/${totalBatches}: ${documents.length} documents (Total: ${synced}/${ids.length})`);
 
           if (result.errors > 0) {
+            errors += result.errors;
             logger.warn(`Batch had ${result.errors} errors`);
           }
         }
 
+        reportProgress({ processed: Math.min(i + batchSize, ids.length), errors });
+
         // Small delay between batches
         await new Promise(resolve => setTimeout(resolve, 200));
 
       } catch (error) {
         logger.error(`Failed to sync batch starting at index ${i}:`, error.message);
+        errors += batchIds.length;
       }
     }
 
     return synced;
   }
 
+  async deadLetter(failedItems) {
+    if (!failedItems || failedItems.length === 0) {
+      return;
+    }
+
+    if (!this.deadLetterQueue) {
+      logger.error(`Dropping ${failedItems.length} documents that failed to index (no dead-letter queue):`, failedItems);
+      return;
+    }
+
+    await this.deadLetterQueue.add(failedItems);
+  }
+
   getStats() {
     return {
       ...this.stats,
       isRunning: this.isRunning,
+      checkInProgress: this.checkInProgress,
       nextCheck: this.intervalId ? 'scheduled' : 'not scheduled'
     };
   }
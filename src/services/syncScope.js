@@ -0,0 +1,135 @@
+// Which source documents a pipeline syncs. A scope maps document fields (dotted
+// paths allowed) to a value the field must equal, or to one condition:
+//   { "is_active": true,
+//     "countrySearchedfor": { "in": ["US", "GB"] },
+//     "page_is_deleted": { "ne": true } }
+// Conditions follow MongoDB semantics, including for missing fields and array
+// values, so the MongoDB filter and the in-process predicate always agree.
+const OPERATORS = {
+  in: { mongo: '$in', list: true },
+  nin: { mongo: '$nin', list: true },
+  ne: { mongo: '$ne' },
+  exists: { mongo: '$exists' }
+};
+
+// Every value a dotted path reaches, the way MongoDB resolves it: an array met
+// on the way is traversed element by element (and indexed by a numeric key),
+// and an array at the end counts both as a whole and as each of its elements.
+// A path that ends nowhere yields undefined.
+function valuesAt(value, keys) {
+  if (keys.length === 0) {
+    return Array.isArray(value) ? [value, ...value] : [value];
+  }
+  const [key, ...rest] = keys;
+
+  if (Array.isArray(value)) {
+    const values = /^\d+$/.test(key) ? valuesAt(value[Number(key)], rest) : [];
+    for (const element of value) {
+      values.push(...(isDocument(element) ? valuesAt(element, keys) : [undefined]));
+    }
+    return values;
+  }
+  return isDocument(value) ? valuesAt(value[key], rest) : [undefined];
+}
+
+function isDocument(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+}
+
+function isCondition(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date) &&
+    Object.keys(value).length === 1 && Object.prototype.hasOwnProperty.call(OPERATORS, Object.keys(value)[0]);
+}
+
+// Equality as MongoDB applies it: null also matches a missing field, and
+// ObjectIds/Dates compare by value
+function same(actual, expected) {
+  if (expected === null) {
+    return actual === null || actual === undefined;
+  }
+  if (actual instanceof Date && expected instanceof Date) {
+    return actual.getTime() === expected.getTime();
+  }
+  if (actual && expected && typeof actual === 'object' && typeof expected === 'object') {
+    return String(actual) === String(expected);
+  }
+  return actual === expected;
+}
+
+class SyncScope {
+  constructor(definition = null) {
+    this.rules = Object.entries(definition || {}).map(([field, rule]) => this.normalizeRule(field, rule));
+  }
+
+  normalizeRule(field, rule) {
+    if (!isCondition(rule)) {
+      if (rule !== null && typeof rule === 'object' && !Array.isArray(rule) && !(rule instanceof Date)) {
+        throw new Error(`Unknown sync scope condition for ${field} (use a value or one of ${Object.keys(OPERATORS).join(', ')})`);
+      }
+      return { field, operator: 'eq', value: rule };
+    }
+
+    const [operator, value] = Object.entries(rule)[0];
+    if (OPERATORS[operator].list && !Array.isArray(value)) {
+      throw new Error(`Sync scope "${operator}" for ${field} needs an array of values`);
+    }
+    return { field, operator, value };
+  }
+
+  // Top-level document fields the scope depends on
+  fields() {
+    return [...new Set(this.rules.map(({ field }) => field.split('.')[0]))];
+  }
+
+  isEmpty() {
+    return this.rules.length === 0;
+  }
+
+  // MongoDB filter for the scope, ANDed with an optional extra filter
+  mongoFilter(extra = null, prefix = '') {
+    const scope = {};
+    for (const { field, operator, value } of this.rules) {
+      scope[`${prefix}${field}`] = operator === 'eq' ? value : { [OPERATORS[operator].mongo]: value };
+    }
+
+    const hasExtra = extra && Object.keys(extra).length > 0;
+    if (this.isEmpty()) {
+      return hasExtra ? extra : {};
+    }
+    return hasExtra ? { $and: [scope, extra] } : scope;
+  }
+
+  // Inserts outside the scope are dropped by MongoDB. Updates and replaces
+  // always come through, since they can move a document out of scope.
+  changeStreamMatch() {
+    return {
+      $or: [
+        { operationType: 'insert', ...this.mongoFilter(null, 'fullDocument.') },
+        { operationType: { $in: ['update', 'replace', 'delete'] } }
+      ]
+    };
+  }
+
+  matches(document) {
+    return this.rules.every(({ field, operator, value }) => {
+      const candidates = valuesAt(document, field.split('.'));
+
+      switch (operator) {
+        case 'eq':
+          return candidates.some(candidate => same(candidate, value));
+        case 'in':
+          return candidates.some(candidate => value.some(expected => same(candidate, expected)));
+        case 'nin':
+          return !candidates.some(candidate => value.some(expected => same(candidate, expected)));
+        case 'ne':
+          return !candidates.some(candidate => same(candidate, value));
+        case 'exists':
+          return candidates.some(candidate => candidate !== undefined) === Boolean(value);
+        default:
+          return false;
+      }
+    });
+  }
+}
+
+module.exports = SyncScope;
@@ -1,21 +1,66 @@
+const { ObjectId } = require('mongodb');
 const config = require('../config');
+const { defaultPipeline } = require('../config/pipelines');
 const logger = require('../utils/logger');
 const MongoDBService = require('./mongodb');
 const OpenSearchService = require('./opensearch');
 const BulkProcessor = require('./bulkProcessor');
+const CheckpointStore = require('./checkpointStore');
+const DeadLetterQueue = require('./deadLetterQueue');
+const IndexMigrationService = require('./indexMigration');
+const SyncScope = require('./syncScope');
+const TieringService = require('./tieringService');
 
+// MongoDB error code raised when a resume token is no longer in the oplog
+const CHANGE_STREAM_HISTORY_LOST = 286;
+
+// Look slightly further back than the last checkpointed event when catching up
+const CATCH_UP_MARGIN_MS = 5 * 60 * 1000;
+
+// Syncs one pipeline: a MongoDB collection into an OpenSearch index (see
+// src/config/pipelines.js)
 class SyncService {
-  constructor() {
-    this.mongodbService = new MongoDBService();
-    this.opensearchService = new OpenSearchService();
-    this.bulkProcessor = new BulkProcessor(this.opensearchService);
+  constructor(pipeline = defaultPipeline()) {
+    this.pipeline = pipeline;
+    this.scope = new SyncScope(pipeline.scope);
+    this.mongodbService = new MongoDBService(pipeline.mongodb);
+    this.opensearchService = new OpenSearchService({
+      ...pipeline.opensearch,
+      mappingFile: pipeline.mappingFile,
+      routingFields: pipeline.routingFields,
+      tiering: pipeline.tiering
+    });
+    this.checkpointStore = new CheckpointStore(this.mongodbService);
+    this.deadLetterQueue = new DeadLetterQueue(this.mongodbService, this.opensearchService, pipeline.deadLetterCollection);
+    this.bulkProcessor = new BulkProcessor(this.opensearchService, {
+      name: pipeline.name,
+      settings: pipeline.sync,
+      onBatchProcessed: (batch) => this.saveResumeToken(batch),
+      deadLetterQueue: this.deadLetterQueue,
+      fetchDocuments: (ids) => this.mongodbService.findDocumentsByIds(ids, { filter: this.scope.mongoFilter() })
+    });
+    this.indexMigration = new IndexMigrationService(this);
+    this.tiering = new TieringService(this);
     this.changeStream = null;
+    this.resumeTokenLost = false;
+    this.lastEventClusterTime = null;
+    const source = `${pipeline.mongodb.database}.${pipeline.mongodb.collection}`;
+    this.resumeCheckpointKey = `change-stream:${source}`;
+    // Start of a catch-up that hasn't completed yet
+    this.catchUpCheckpointKey = `catch-up:${source}`;
+    this.fullSyncCheckpointKey = `full-sync:${source}`;
     this.isRunning = false;
     this.stats = {
       documentsProcessed: 0,
       documentsSkipped: 0,
+      documentsDescoped: 0,
+      documentsRefetched: 0,
+      updatesIgnored: 0,
+      partialUpdates: 0,
       errors: 0,
       lastSync: null,
+      lastCheckpoint: null,
+      catchUps: 0,
       startTime: null
     };
   }
@@ -23,6 +68,8 @@ class SyncService {
   async initialize() {
     try {
       await this.mongodbService.connect();
+      // Pick up the write index selected by a previous index migration
+      await this.indexMigration.restore();
       await this.opensearchService.initialize();
       await this.bulkProcessor.startPeriodicProcessing();
       
@@ -45,6 +92,12 @@ class SyncService {
       
       // Start change stream
       await this.startChangeStream();
+      await this.resumeCatchUp();
+
+      // Demote aged-out documents to the warm tier while syncing
+      if (this.tiering.isEnabled()) {
+        await this.tiering.start();
+      }
       
       logger.info('Sync service started successfully');
     } catch (error) {
@@ -68,6 +121,10 @@ class SyncService {
         await this.changeStream.close();
         this.changeStream = null;
       }
+
+      if (this.tiering.isRunning) {
+        await this.tiering.stop();
+      }
       
       // Flush remaining documents
       await this.bulkProcessor.flush();
@@ -81,33 +138,59 @@ class SyncService {
 
   async startChangeStream() {
     try {
-      this.changeStream = await this.mongodbService.getChangeStream();
-      
-      this.changeStream.on('change', async (change) => {
+      const resumeToken = await this.loadResumeToken();
+      this.changeStream = await this.mongodbService.getChangeStream(resumeToken, {
+        match: this.scope.changeStreamMatch(),
+        fullDocument: this.pipeline.sync.fullDocument
+      });
+
+      // Runs until the stream is closed or fails; errors are handled inside
+      this.consumeChangeStream(this.changeStream);
+
+      logger.info('Change stream started');
+    } catch (error) {
+      logger.error('Failed to start change stream:', error);
+      throw error;
+    }
+  }
+
+  // Pulls events one at a time, so the next event is only read from MongoDB
+  // once the previous one is queued and the bulk queue has room for more
+  async consumeChangeStream(changeStream) {
+    try {
+      for await (const change of changeStream) {
         try {
           await this.handleChange(change);
         } catch (error) {
           logger.error('Error handling change:', error);
           this.stats.errors++;
         }
-      });
 
-      this.changeStream.on('error', (error) => {
-        logger.error('Change stream error:', error);
-        this.stats.errors++;
-        
-        // Attempt to restart change stream
-        setTimeout(() => {
-          if (this.isRunning) {
-            this.restartChangeStream();
-          }
-        }, 5000);
-      });
+        await this.bulkProcessor.waitForCapacity();
 
-      logger.info('Change stream started');
+        if (!this.isRunning || changeStream !== this.changeStream) {
+          break;
+        }
+      }
     } catch (error) {
-      logger.error('Failed to start change stream:', error);
-      throw error;
+      if (changeStream !== this.changeStream || !this.isRunning) {
+        return;
+      }
+
+      logger.error('Change stream error:', error);
+      this.stats.errors++;
+
+      if (this.isHistoryLostError(error)) {
+        logger.warn('Checkpointed resume token is no longer in the oplog, a catch-up sync will run on restart');
+        this.resumeTokenLost = true;
+      }
+
+      // Attempt to restart change stream
+      setTimeout(() => {
+        if (this.isRunning) {
+          this.restartChangeStream();
+        }
+      }, 5000);
     }
   }
 
@@ -116,38 +199,191 @@ class SyncService {
       logger.info('Restarting change stream...');
       
       if (this.changeStream) {
-        await this.changeStream.close();
+        // Detach first so the consumer loop treats the close as intentional
+        const previous = this.changeStream;
+        this.changeStream = null;
+        await previous.close();
+      }
+
+      if (this.resumeTokenLost) {
+        await this.recoverFromLostResumeToken();
+      } else {
+        await this.startChangeStream();
       }
-      
-      await this.startChangeStream();
       logger.info('Change stream restarted successfully');
     } catch (error) {
       logger.error('Failed to restart change stream:', error);
     }
   }
 
+  isHistoryLostError(error) {
+    return error.code === CHANGE_STREAM_HISTORY_LOST ||
+      error.codeName === 'ChangeStreamHistoryLost';
+  }
+
+  async loadResumeToken() {
+    if (!config.sync.resumeEnabled) {
+      return null;
+    }
+
+    const checkpoint = await this.checkpointStore.load(this.resumeCheckpointKey);
+    if (checkpoint && checkpoint.resumeToken) {
+      logger.info(`Resuming change stream from checkpoint (last event at ${checkpoint.lastEventAt})`);
+      return checkpoint.resumeToken;
+    }
+
+    return null;
+  }
+
+  // Called by the bulk processor once a batch has been indexed successfully
+  async saveResumeToken(batch) {
+    if (!config.sync.resumeEnabled) {
+      return;
+    }
+
+    const lastEvent = [...batch].reverse().find(item => item.resumeToken);
+    if (!lastEvent) {
+      return;
+    }
+
+    await this.checkpointStore.save(this.resumeCheckpointKey, {
+      resumeToken: lastEvent.resumeToken,
+      lastEventAt: lastEvent.eventTime || new Date()
+    });
+    this.stats.lastCheckpoint = new Date();
+  }
+
+  // The fresh stream checkpoints over the lost one, so the catch-up start is
+  // kept under its own key until the catch-up completes; an interrupted one is
+  // run again from the same point (see resumeCatchUp)
+  async recoverFromLostResumeToken() {
+    const pending = await this.checkpointStore.load(this.catchUpCheckpointKey);
+    const checkpoint = await this.checkpointStore.load(this.resumeCheckpointKey);
+    let since = pending ? pending.since : null;
+    if (!since && checkpoint && checkpoint.lastEventAt) {
+      since = new Date(new Date(checkpoint.lastEventAt).getTime() - CATCH_UP_MARGIN_MS);
+      await this.checkpointStore.save(this.catchUpCheckpointKey, { since });
+    }
+    await this.checkpointStore.clear(this.resumeCheckpointKey);
+    this.resumeTokenLost = false;
+
+    // Open a fresh stream first so nothing written during the catch-up is missed
+    await this.startChangeStream();
+
+    if (!since) {
+      logger.warn('No checkpoint time available, relying on reconciliation to repair missed changes');
+      return;
+    }
+
+    await this.catchUpSince(new Date(since));
+    await this.checkpointStore.clear(this.catchUpCheckpointKey);
+  }
+
+  // Finishes a catch-up that a restart interrupted
+  async resumeCatchUp() {
+    const pending = await this.checkpointStore.load(this.catchUpCheckpointKey);
+    if (!pending) {
+      return;
+    }
+
+    logger.info('Resuming an interrupted catch-up sync');
+    try {
+      await this.catchUpSince(new Date(pending.since));
+      await this.checkpointStore.clear(this.catchUpCheckpointKey);
+    } catch (error) {
+      // The change stream is already running; the catch-up is retried on the next start
+      logger.error('Failed to resume the catch-up sync:', error);
+    }
+  }
+
+  // Re-index documents created or modified since the given date. Deletions made
+  // while the resume token was lost cannot be recovered from MongoDB.
+  async catchUpSince(since, batchSize = this.pipeline.sync.batchSize) {
+    logger.info(`Catching up on documents changed since ${since.toISOString()}...`);
+    this.stats.catchUps++;
+
+    const filter = this.scope.mongoFilter({
+      $or: [
+        { _id: { $gte: ObjectId.createFromTime(Math.floor(since.getTime() / 1000)) } },
+        ...this.pipeline.sync.catchUpFields.map(field => ({ [field]: { $gte: since } }))
+      ]
+    });
+
+    const cursor = this.mongodbService.collection.find(filter).batchSize(batchSize);
+    let chunk = [];
+    let total = 0;
+
+    try {
+      for await (const document of cursor) {
+        chunk.push(document);
+
+        if (chunk.length >= batchSize) {
+          // Going through the queue keeps catch-up writes ordered with live events
+          await this.bulkProcessor.addDocuments(chunk, 'upsert');
+          await this.bulkProcessor.flush();
+          total += chunk.length;
+          chunk = [];
+        }
+      }
+
+      if (chunk.length > 0) {
+        await this.bulkProcessor.addDocuments(chunk, 'upsert');
+        await this.bulkProcessor.flush();
+        total += chunk.length;
+      }
+
+      logger.info(`Catch-up completed: ${total} documents re-queued`);
+      return { success: true, processed: total };
+    } catch (error) {
+      logger.error('Catch-up sync failed:', error);
+      throw error;
+    } finally {
+      await cursor.close();
+    }
+  }
+
   async handleChange(change) {
     const { operationType, fullDocument, documentKey } = change;
+    if (change.clusterTime) {
+      this.lastEventClusterTime = new Date(change.clusterTime.getHighBitsUnsigned() * 1000);
+    }
+    const meta = {
+      resumeToken: change._id,
+      eventTime: change.wallTime ||
+        (change.clusterTime ? new Date(change.clusterTime.getHighBitsUnsigned() * 1000) : new Date()),
+      // Where the document was indexed before the change, for partitioned indexes
+      previous: change.fullDocumentBeforeChange || undefined,
+      isNew: operationType === 'insert'
+    };
     
     logger.debug(`Processing ${operationType} operation for document: ${documentKey._id}`);
 
     switch (operationType) {
       case 'insert':
-      case 'update':
       case 'replace':
         if (fullDocument) {
-          await this.bulkProcessor.addDocument(fullDocument, 'upsert');
-          this.stats.documentsProcessed++;
+          await this.syncDocument(fullDocument, change, meta);
         } else {
-          logger.warn(`No full document available for ${operationType} operation`);
-          this.stats.documentsSkipped++;
+          await this.refetchDocument(change, meta);
         }
         break;
+
+      case 'update':
+        await this.handleUpdate(change, meta);
+        break;
         
       case 'delete':
+        // The pre-image (when the collection records one) gives the routing the
+        // document was indexed with; otherwise it is looked up at flush time
         await this.bulkProcessor.addDocument(
           { _id: documentKey._id }, 
-          'delete'
+          'delete',
+          {
+            ...meta,
+            routing: change.fullDocumentBeforeChange
+              ? this.opensearchService.getRouting(change.fullDocumentBeforeChange)
+              : undefined
+          }
         );
         this.stats.documentsProcessed++;
         break;
@@ -160,39 +396,227 @@ class SyncService {
     this.stats.lastSync = new Date();
   }
 
+  async syncDocument(document, change, meta) {
+    if (!this.scope.matches(document)) {
+      await this.removeOutOfScope(change, meta);
+      return;
+    }
+
+    await this.bulkProcessor.addDocument(document, 'upsert', meta);
+    this.stats.documentsProcessed++;
+  }
+
+  // Uses the update description to skip updates that change nothing in the
+  // index and to send small ones as partial updates. Without a document in the
+  // event (no post-image, or the lookup found it deleted) the document is read
+  // again unless a partial update can be applied as it is.
+  async handleUpdate(change, meta) {
+    const { fullDocument, updateDescription } = change;
+    const changed = updateDescription ? this.changedFields(updateDescription) : null;
+
+    if (changed && !changed.some(name => this.affectsIndex(name))) {
+      this.stats.updatesIgnored++;
+      return;
+    }
+
+    const partial = changed ? this.buildPartialUpdate(change, changed) : null;
+
+    if (fullDocument && !this.scope.matches(fullDocument)) {
+      await this.removeOutOfScope(change, meta);
+    } else if (partial) {
+      await this.bulkProcessor.addDocument(partial.document, 'update', {
+        ...meta,
+        unset: partial.unset,
+        source: fullDocument || null
+      });
+      this.stats.partialUpdates++;
+      this.stats.documentsProcessed++;
+    } else if (fullDocument) {
+      await this.bulkProcessor.addDocument(fullDocument, 'upsert', meta);
+      this.stats.documentsProcessed++;
+    } else {
+      await this.refetchDocument(change, meta);
+    }
+  }
+
+  // Top-level fields an update set, removed or truncated
+  changedFields({ updatedFields = {}, removedFields = [], truncatedArrays = [] }) {
+    const paths = [...Object.keys(updatedFields), ...removedFields, ...truncatedArrays.map(({ field }) => field)];
+    return [...new Set(paths.map(path => path.split('.')[0]))];
+  }
+
+  // Scope, routing, tier and partition fields, which decide whether and where
+  // a document is indexed
+  placementFields() {
+    const { routingFields, tierPolicy, partitionField } = this.opensearchService;
+    return [
+      ...this.scope.fields(),
+      ...routingFields,
+      ...(tierPolicy ? tierPolicy.fields() : []),
+      ...(partitionField ? [partitionField] : [])
+    ];
+  }
+
+  // Placement fields count even when they aren't indexed
+  affectsIndex(name) {
+    return this.opensearchService.transformer.indexesField(name) || this.placementFields().includes(name);
+  }
+
+  // The update as { document: { _id, ...set fields }, unset }, or null when it
+  // has to be applied by sending the whole document
+  buildPartialUpdate(change, fields) {
+    const { updatedFields = {}, removedFields = [], truncatedArrays = [] } = change.updateDescription;
+    const maxFields = this.pipeline.sync.partialUpdateMaxFields;
+
+    if (!maxFields || fields.length > maxFields || truncatedArrays.length > 0) {
+      return null;
+    }
+    // Changes inside nested objects or arrays only carry the changed part
+    if ([...Object.keys(updatedFields), ...removedFields].some(path => path.includes('.'))) {
+      return null;
+    }
+    // Moving the document in or out of scope, or to another shard, tier or
+    // partition, needs all of it
+    const placementFields = this.placementFields();
+    if (fields.some(name => placementFields.includes(name))) {
+      return null;
+    }
+
+    const document = { _id: change.documentKey._id, ...updatedFields };
+    // OpenSearch merges objects in a partial update, which would keep keys the
+    // source object no longer has
+    const output = this.opensearchService.transformer.transformPartial(change.fullDocument || document, fields);
+    const mergesObjects = Object.values(output).some(value =>
+      value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype
+    );
+    if (mergesObjects) {
+      return null;
+    }
+
+    return { document, unset: removedFields };
+  }
+
+  // Reads the document again for an event that came without it. If it has
+  // been deleted since, it is removed now rather than when its delete event
+  // arrives.
+  async refetchDocument(change, meta) {
+    const [document] = await this.mongodbService.findDocumentsByIds([change.documentKey._id]);
+    this.stats.documentsRefetched++;
+
+    if (document) {
+      await this.syncDocument(document, change, meta);
+      return;
+    }
+
+    const before = change.fullDocumentBeforeChange;
+    if (before && !this.scope.matches(before)) {
+      this.stats.documentsSkipped++;
+      return;
+    }
+
+    await this.bulkProcessor.addDocument(
+      { _id: change.documentKey._id },
+      'delete',
+      { ...meta, routing: before ? this.opensearchService.getRouting(before) : undefined }
+    );
+    this.stats.documentsProcessed++;
+  }
+
+  // An update or replace can move a document out of the sync scope, which
+  // removes it from the index. A pre-image that was out of scope as well means
+  // the document was never indexed.
+  async removeOutOfScope(change, meta) {
+    const before = change.fullDocumentBeforeChange;
+    if (change.operationType === 'insert' || (before && !this.scope.matches(before))) {
+      this.stats.documentsSkipped++;
+      return;
+    }
+
+    await this.bulkProcessor.addDocument(
+      { _id: change.documentKey._id },
+      'delete',
+      { ...meta, routing: before ? this.opensearchService.getRouting(before) : undefined }
+    );
+    this.stats.documentsDescoped++;
+  }
+
+  // Pages through the collection in _id order and checkpoints the last _id of
+  // every confirmed batch, so an interrupted run can continue with { resume: true }
+  // or from an explicit { startAfterId }. Accepts an AbortSignal (options.signal)
+  // and an options.onProgress callback when run as a background job.
+  // options.targetIndex writes to that index only (used to backfill a new index
+  // version) and options.checkpointKey keeps its high-water mark separate.
   async performFullSync(options = {}) {
     try {
       logger.info('Starting full sync...');
       
       // Use smaller batch size to prevent timeouts with large documents
       const batchSize = options.batchSize || 100;
-      const filter = options.filter || {};
-      
-      let skip = 0;
+      const checkpointKey = options.checkpointKey || this.fullSyncCheckpointKey;
+      const bulkOptions = options.targetIndex ? { indices: [options.targetIndex] } : {};
+      const checkpoint = options.resume
+        ? await this.checkpointStore.load(checkpointKey)
+        : null;
+      const filter = options.filter || (checkpoint && checkpoint.filter) || {};
+      // The checkpoint keeps the requested filter; the scope is applied on top
+      const scopedFilter = this.scope.mongoFilter(filter);
+
+      let lastId = null;
+      if (options.startAfterId) {
+        lastId = ObjectId.isValid(options.startAfterId)
+          ? new ObjectId(options.startAfterId)
+          : options.startAfterId;
+      } else if (checkpoint && !checkpoint.completedAt) {
+        lastId = checkpoint.lastId;
+      }
+
+      if (lastId) {
+        logger.info(`Resuming full sync after _id ${lastId}`);
+      }
+
+      const startedAt = new Date();
+      let batchNum = 0;
       let totalProcessed = 0;
       let totalErrors = 0;
       let totalVersionConflicts = 0;
+      // Only advances while every batch so far has been indexed
+      let confirmedId = lastId;
+      let hasFailedBatch = false;
+      let cancelled = false;
+      const reportProgress = options.onProgress || (() => {});
       
+      const rangeFilter = (afterId) => (afterId ? { $and: [scopedFilter, { _id: { $gt: afterId } }] } : scopedFilter);
+
       // Get total count for progress tracking
-      const totalCount = await this.mongodbService.collection.countDocuments(filter);
+      const totalCount = await this.mongodbService.collection.countDocuments(rangeFilter(lastId));
       logger.info(`Total documents to sync: ${totalCount}`);
+      reportProgress({ processed: 0, total: totalCount, errors: 0, versionConflicts: 0 });
       
       while (true) {
-        const documents = await this.mongodbService.findDocuments(filter, {
+        if (options.signal && options.signal.aborted) {
+          logger.warn(`Full sync cancelled after ${totalProcessed} documents`);
+          cancelled = true;
+          break;
+        }
+
+        const documents = await this.mongodbService.findDocuments(rangeFilter(lastId), {
           limit: batchSize,
-          skip
+          sort: { _id: 1 }
         });
         
         if (documents.length === 0) {
           break;
         }
         
-        const batchNum = Math.floor(skip / batchSize) + 1;
+        batchNum++;
+        lastId = documents[documents.length - 1]._id;
         logger.info(`Processing batch ${batchNum}: ${documents.length} documents (${totalProcessed}/${totalCount})`);
         
         try {
           // Process directly to avoid queue buildup and get immediate results
-          const result = await this.opensearchService.bulkIndex(documents);
+          const result = await this.opensearchService.bulkIndex(documents, bulkOptions);
+          // Documents OpenSearch refused are kept for a retry instead of only counted
+          await this.deadLetterQueue.add(result.failedItems);
           
           totalProcessed += documents.length;
           
@@ -203,7 +627,24 @@ class SyncService {
           if (result.versionConflicts > 0) {
             totalVersionConflicts += result.versionConflicts;
           }
+
+          if (!hasFailedBatch) {
+            confirmedId = lastId;
+            await this.checkpointStore.save(checkpointKey, {
+              lastId: confirmedId,
+              filter,
+              startedAt,
+              completedAt: null
+            });
+          }
           
+          reportProgress({
+            processed: totalProcessed,
+            errors: totalErrors,
+            versionConflicts: totalVersionConflicts,
+            lastConfirmedId: confirmedId ? confirmedId.toString() : null
+          });
+
           // Log progress every 10 batches or at milestones
           if (batchNum % 10 === 0 || totalProcessed === totalCount) {
             const progress = ((totalProcessed / totalCount) * 100).toFixed(2);
@@ -211,28 +652,39 @@ class SyncService {
           }
           
         } catch (error) {
-          logger.error(`Failed to process batch at skip ${skip}:`, error.message);
+          logger.error(`Failed to process batch ending at _id ${lastId}:`, error.message);
           totalErrors += documents.length;
+          hasFailedBatch = true;
         }
         
-        skip += documents.length;
-        
         // Small delay to prevent overwhelming OpenSearch
         await new Promise(resolve => setTimeout(resolve, 200));
       }
+
+      if (!hasFailedBatch && !cancelled) {
+        await this.checkpointStore.save(checkpointKey, {
+          lastId: confirmedId,
+          filter,
+          startedAt,
+          completedAt: new Date()
+        });
+      }
       
       const successRate = totalProcessed > 0 
         ? ((totalProcessed - totalErrors) / totalProcessed * 100).toFixed(2) 
         : 0;
       
-      logger.info(`Full sync completed: ${totalProcessed} documents processed, ${totalErrors} errors, ${totalVersionConflicts} version conflicts, ${successRate}% success rate`);
+      logger.info(`Full sync ${cancelled ? 'cancelled' : 'completed'}: ${totalProcessed} documents processed, ${totalErrors} errors, ${totalVersionConflicts} version conflicts, ${successRate}% success rate`);
       
       return { 
         success: true, 
         processed: totalProcessed,
         errors: totalErrors,
         versionConflicts: totalVersionConflicts,
-        successRate: parseFloat(successRate)
+        successRate: parseFloat(successRate),
+        lastConfirmedId: confirmedId ? confirmedId.toString() : null,
+        cancelled,
+        resumable: hasFailedBatch || cancelled
       };
       
     } catch (error) {
@@ -241,12 +693,42 @@ class SyncService {
     }
   }
 
+  // Shows the OpenSearch document a MongoDB document would be indexed as
+  async previewTransform(id) {
+    const [document] = await this.mongodbService.findDocumentsByIds([id]);
+    if (!document) {
+      return null;
+    }
+
+    return {
+      id: document._id.toString(),
+      routing: this.opensearchService.getRouting(document),
+      source: document,
+      document: this.opensearchService.buildDocument(document)
+    };
+  }
+
+  async getFullSyncCheckpoint() {
+    return this.checkpointStore.load(this.fullSyncCheckpointKey);
+  }
+
   async getStats() {
     const bulkStats = this.bulkProcessor.getStats();
     
     return {
       ...this.stats,
       bulkProcessor: bulkStats,
+      scope: this.scope.isEmpty() ? null : this.scope.mongoFilter(),
+      tiering: this.tiering.isEnabled() ? this.tiering.getStats() : null,
+      changeStream: {
+        queueDepth: bulkStats.queueSize,
+        queueBytes: bulkStats.queueBytes,
+        paused: bulkStats.paused,
+        lastEventClusterTime: this.lastEventClusterTime,
+        lagSeconds: this.lastEventClusterTime
+          ? Math.max(0, Math.round((Date.now() - this.lastEventClusterTime.getTime()) / 1000))
+          : null
+      },
       isRunning: this.isRunning,
       uptime: this.stats.startTime ? 
         Date.now() - this.stats.startTime.getTime() : 0
@@ -262,6 +744,8 @@ class SyncService {
         status: 'healthy',
         mongodb: mongodbHealth,
         opensearch: opensearchHealth,
+        // Drift found by the last template check; reported, not unhealthy
+        templates: this.opensearchService.templates.getStatus(),
         sync: {
           isRunning: this.isRunning,
           queueSize: this.bulkProcessor.queue.length
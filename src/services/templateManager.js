@@ -0,0 +1,256 @@
+const path = require('path');
+const logger = require('../utils/logger');
+
+const MANAGED_BY = 'opensearch-diff-sync';
+const INDEX_TEMPLATE_PRIORITY = 100;
+
+// Settings flattened to the index.* keys OpenSearch stores them under
+function flattenSettings(settings, prefix = '', flat = {}) {
+  for (const [key, value] of Object.entries(settings || {})) {
+    const name = prefix ? `${prefix}.${key}` : key;
+    if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+      flattenSettings(value, name, flat);
+    } else {
+      flat[name.startsWith('index.') ? name : `index.${name}`] = value;
+    }
+  }
+  return flat;
+}
+
+// OpenSearch hands values back as strings ("1" for 1), so only the text counts
+function canonical(value) {
+  if (Array.isArray(value)) {
+    return value.map(canonical);
+  }
+  if (value !== null && typeof value === 'object') {
+    return Object.fromEntries(Object.keys(value).sort().map(key => [key, canonical(value[key])]));
+  }
+  return String(value);
+}
+
+// The part of a template body that is compared; version and _meta are
+// bookkeeping
+function comparable(body) {
+  const template = body.template || {};
+  return canonical({
+    index_patterns: body.index_patterns || [],
+    composed_of: body.composed_of || [],
+    priority: body.priority !== undefined ? body.priority : null,
+    template: {
+      settings: flattenSettings(template.settings),
+      mappings: template.mappings || {},
+      aliases: template.aliases || {}
+    }
+  });
+}
+
+// Paths at which two canonical values differ
+function differences(desired, live, prefix = '') {
+  if (typeof desired !== 'object' || typeof live !== 'object' || Array.isArray(desired) !== Array.isArray(live)) {
+    return JSON.stringify(desired) === JSON.stringify(live) ? [] : [prefix || '(root)'];
+  }
+  if (Array.isArray(desired)) {
+    return JSON.stringify(desired) === JSON.stringify(live) ? [] : [prefix];
+  }
+
+  const paths = [];
+  for (const key of new Set([...Object.keys(desired), ...Object.keys(live)])) {
+    const name = prefix ? `${prefix}.${key}` : key;
+    if (!(key in desired) || !(key in live)) {
+      paths.push(name);
+    } else {
+      paths.push(...differences(desired[key], live[key], name));
+    }
+  }
+  return paths;
+}
+
+// Keeps a pipeline's component and index templates in line with its index
+// definition file. The file's "version" numbers the templates built from it:
+// <index>-settings and <index>-mappings hold its settings and mappings, and
+// an index template per tier composes them for the write index, its migration
+// versions (<index>-vN) or its partitions. Missing templates are installed on
+// startup; a template that differs from the file is only reported until it is
+// applied explicitly, since changing it affects every index created later.
+class TemplateManager {
+  constructor(opensearchService) {
+    this.opensearchService = opensearchService;
+    this.lastCheck = null;
+  }
+
+  desiredTemplates() {
+    const service = this.opensearchService;
+    const base = service.baseIndex;
+    const file = service.indexDefinitionFile;
+    const { version, settings, mappings } = service.loadIndexDefinition(file);
+    const meta = { managed_by: MANAGED_BY, source: path.basename(file) };
+    const versioned = (body) => (version !== undefined ? { ...body, version } : body);
+    const components = [`${base}-settings`, `${base}-mappings`];
+
+    const tierTemplate = (tierBase, settingsOverride) => {
+      const template = {};
+      if (settingsOverride) {
+        template.settings = settingsOverride;
+      }
+      // Partitions are created on write, so they join the read alias here;
+      // unpartitioned indexes are added to it explicitly (migrations only swap
+      // a new version in once it is verified)
+      if (service.isPartitioned()) {
+        template.aliases = { [service.indexAlias]: {} };
+      }
+      return {
+        type: 'index',
+        name: tierBase,
+        body: versioned({
+          index_patterns: service.isPartitioned()
+            ? [`${tierBase}.*`]
+            : (tierBase === base ? [base, `${base}-v*`] : [tierBase]),
+          composed_of: components,
+          priority: INDEX_TEMPLATE_PRIORITY,
+          template,
+          _meta: meta
+        })
+      };
+    };
+
+    const templates = [
+      { type: 'component', name: components[0], body: versioned({ template: { settings }, _meta: meta }) },
+      { type: 'component', name: components[1], body: versioned({ template: { mappings }, _meta: meta }) },
+      tierTemplate(base)
+    ];
+    if (service.warmIndex) {
+      templates.push(tierTemplate(service.warmIndex, { refresh_interval: service.tiering.warmRefreshInterval }));
+    }
+    return templates;
+  }
+
+  async fetchLive({ type, name }) {
+    const client = this.opensearchService.client;
+    try {
+      if (type === 'component') {
+        const response = await client.cluster.getComponentTemplate({ name });
+        return response.body.component_templates[0].component_template;
+      }
+      const response = await client.indices.getIndexTemplate({ name });
+      return response.body.index_templates[0].index_template;
+    } catch (error) {
+      if (error.statusCode === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async put({ type, name, body }) {
+    const client = this.opensearchService.client;
+    if (type === 'component') {
+      await client.cluster.putComponentTemplate({ name, body });
+    } else {
+      await client.indices.putIndexTemplate({ name, body });
+    }
+  }
+
+  // status: in_sync, missing, outdated (live version is older), drifted (same
+  // version, different content) or newer (live version is ahead of the file)
+  compare(template, live) {
+    const desiredVersion = template.body.version !== undefined ? template.body.version : null;
+    const entry = {
+      type: template.type,
+      name: template.name,
+      desiredVersion,
+      liveVersion: live && live.version !== undefined ? live.version : null,
+      status: 'in_sync',
+      differences: []
+    };
+
+    if (!live) {
+      entry.status = 'missing';
+      return entry;
+    }
+
+    entry.differences = differences(comparable(template.body), comparable(live));
+    if (desiredVersion !== null && entry.liveVersion !== null && entry.liveVersion > desiredVersion) {
+      entry.status = 'newer';
+    } else if (desiredVersion !== null && (entry.liveVersion === null || entry.liveVersion < desiredVersion)) {
+      entry.status = 'outdated';
+    } else if (entry.differences.length > 0) {
+      entry.status = 'drifted';
+    }
+    return entry;
+  }
+
+  async check() {
+    const templates = [];
+    for (const template of this.desiredTemplates()) {
+      templates.push(this.compare(template, await this.fetchLive(template)));
+    }
+
+    this.lastCheck = {
+      inSync: templates.every(entry => entry.status === 'in_sync'),
+      checkedAt: new Date(),
+      templates
+    };
+    return this.lastCheck;
+  }
+
+  // Startup: installs templates that don't exist yet and reports the rest
+  async installMissing() {
+    for (const template of this.desiredTemplates()) {
+      if (!(await this.fetchLive(template))) {
+        await this.put(template);
+        logger.info(`Installed ${template.type} template ${template.name}`);
+      }
+    }
+
+    const report = await this.check();
+    for (const entry of report.templates.filter(({ status }) => status !== 'in_sync')) {
+      logger.warn(`⚠️ ${entry.type} template ${entry.name} is ${entry.status} ` +
+        `(live version ${entry.liveVersion}, file version ${entry.desiredVersion}); ` +
+        'apply it with POST /api/index/templates/apply');
+    }
+    return report;
+  }
+
+  // Writes every template that differs from the file. A live template with a
+  // newer version is kept unless force is set.
+  async apply({ force = false } = {}) {
+    const report = await this.check();
+    const byName = new Map(report.templates.map(entry => [`${entry.type}:${entry.name}`, entry]));
+    const applied = [];
+    const skipped = [];
+
+    // Component templates come first, the index templates refer to them
+    for (const template of this.desiredTemplates()) {
+      const entry = byName.get(`${template.type}:${template.name}`);
+      if (entry.status === 'in_sync') {
+        continue;
+      }
+      if (entry.status === 'newer' && !force) {
+        skipped.push({ type: entry.type, name: entry.name, reason: `live version ${entry.liveVersion} is newer` });
+        continue;
+      }
+
+      await this.put(template);
+      applied.push({ type: entry.type, name: entry.name, from: entry.liveVersion, to: entry.desiredVersion });
+      logger.info(`✅ Applied ${template.type} template ${template.name} (${entry.status})`);
+    }
+
+    return { applied, skipped, templates: await this.check() };
+  }
+
+  // Result of the last check, as reported by the health endpoint
+  getStatus() {
+    if (!this.lastCheck) {
+      return { inSync: null, checkedAt: null, outOfSync: [] };
+    }
+    return {
+      inSync: this.lastCheck.inSync,
+      checkedAt: this.lastCheck.checkedAt,
+      outOfSync: this.lastCheck.templates
+        .filter(entry => entry.status !== 'in_sync')
+        .map(({ type, name, status }) => ({ type, name, status }))
+    };
+  }
+}
+
+module.exports = TemplateManager;
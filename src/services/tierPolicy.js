@@ -0,0 +1,67 @@
+const { toDate } = require('../utils/dates');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Decides whether an indexed ad belongs in the hot or the warm tier. An ad is
+// hot until one of the enabled rules moves it to warm:
+//   requireActive     - is_active is not true
+//   endDateGraceDays  - end_date passed more than this many days ago
+//   maxScrapeAgeDays  - scraped_at is older than this many days
+// A rule set to 0 (or false) is disabled; missing or unparseable dates never
+// demote an ad.
+class TierPolicy {
+  constructor({ requireActive = true, endDateGraceDays = 30, maxScrapeAgeDays = 90 } = {}) {
+    this.requireActive = Boolean(requireActive);
+    this.endDateGraceDays = endDateGraceDays || 0;
+    this.maxScrapeAgeDays = maxScrapeAgeDays || 0;
+  }
+
+  // Indexed fields the tier depends on
+  fields() {
+    return [
+      ...(this.requireActive ? ['is_active'] : []),
+      ...(this.endDateGraceDays ? ['end_date'] : []),
+      ...(this.maxScrapeAgeDays ? ['scraped_at'] : [])
+    ];
+  }
+
+  tierOf(document, now = new Date()) {
+    if (this.requireActive && document.is_active !== true) {
+      return 'warm';
+    }
+
+    const endDate = this.endDateGraceDays ? toDate(document.end_date) : null;
+    if (endDate && endDate.getTime() < now.getTime() - this.endDateGraceDays * DAY_MS) {
+      return 'warm';
+    }
+
+    const scrapedAt = this.maxScrapeAgeDays ? toDate(document.scraped_at) : null;
+    if (scrapedAt && scrapedAt.getTime() < now.getTime() - this.maxScrapeAgeDays * DAY_MS) {
+      return 'warm';
+    }
+
+    return 'hot';
+  }
+
+  // OpenSearch query for hot documents that may have aged out. It can match
+  // more than tierOf() would demote (e.g. end_date stored in seconds), so
+  // callers confirm each hit with tierOf().
+  demotionCandidatesQuery(now = new Date()) {
+    const should = [];
+    if (this.requireActive) {
+      should.push({ bool: { must_not: { term: { is_active: true } } } });
+    }
+    if (this.endDateGraceDays) {
+      should.push({ range: { end_date: { lt: new Date(now.getTime() - this.endDateGraceDays * DAY_MS).toISOString() } } });
+    }
+    if (this.maxScrapeAgeDays) {
+      should.push({ range: { scraped_at: { lt: new Date(now.getTime() - this.maxScrapeAgeDays * DAY_MS).toISOString() } } });
+    }
+
+    return should.length > 0
+      ? { bool: { should, minimum_should_match: 1 } }
+      : { match_none: {} };
+  }
+}
+
+module.exports = TierPolicy;
@@ -0,0 +1,205 @@
+const config = require('../config');
+const logger = require('../utils/logger');
+
+// Moves ads that aged out of the hot tier (see TierPolicy) to the warm index.
+// Changes are tiered as they are synced, but time alone also demotes an ad, so
+// this pages through the hot index on a schedule and re-indexes the ads whose
+// tier changed; the upsert places them in the warm index and removes them from
+// the hot one. Indexed ads without a MongoDB source are left to reconciliation.
+class TieringService {
+  constructor(syncService) {
+    this.syncService = syncService;
+    this.mongodbService = syncService.mongodbService;
+    this.opensearchService = syncService.opensearchService;
+    this.isRunning = false;
+    this.intervalId = null;
+    this.demotionInProgress = false;
+    this.stats = {
+      runs: 0,
+      documentsChecked: 0,
+      documentsDemoted: 0,
+      lastRun: null,
+      lastResult: null,
+      lastError: null
+    };
+  }
+
+  isEnabled() {
+    return Boolean(this.opensearchService.tierPolicy);
+  }
+
+  async start(intervalMs = config.tiering.demotionIntervalMs) {
+    if (!this.isEnabled()) {
+      throw new Error('Tiering is not enabled for this pipeline');
+    }
+    if (this.isRunning) {
+      logger.warn('Tier demotion is already scheduled');
+      return;
+    }
+
+    this.isRunning = true;
+    logger.info(`Scheduling tier demotion every ${intervalMs / 60000} minutes`);
+
+    this.intervalId = setInterval(async () => {
+      if (this.demotionInProgress) {
+        return;
+      }
+      try {
+        await this.demote();
+      } catch (error) {
+        // The failure is recorded in the stats; the next run tries again
+        logger.warn(`Scheduled tier demotion failed, retrying in ${intervalMs / 60000} minutes: ${error.message}`);
+      }
+    }, intervalMs);
+  }
+
+  async stop() {
+    this.isRunning = false;
+
+    if (this.intervalId) {
+      clearInterval(this.intervalId);
+      this.intervalId = null;
+    }
+
+    logger.info('Tier demotion stopped');
+  }
+
+  // options.dryRun only counts the ads that would move; options.batchSize,
+  // options.signal and options.onProgress as for the other background jobs
+  async demote(options = {}) {
+    if (!this.isEnabled()) {
+      throw new Error('Tiering is not enabled for this pipeline');
+    }
+    if (this.demotionInProgress) {
+      throw new Error('A tier demotion is already in progress');
+    }
+
+    this.demotionInProgress = true;
+    const startedAt = new Date();
+    const batchSize = options.batchSize || config.tiering.demotionBatchSize;
+    const policy = this.opensearchService.tierPolicy;
+    const result = {
+      hotIndex: this.opensearchService.tierIndex('hot'),
+      warmIndex: this.opensearchService.tierIndex('warm'),
+      checked: 0,
+      demoted: 0,
+      missingInMongo: 0,
+      errors: 0,
+      dryRun: Boolean(options.dryRun),
+      cancelled: false
+    };
+
+    try {
+      logger.info(`Demoting aged-out documents from ${result.hotIndex} to ${result.warmIndex}...`);
+      const query = policy.demotionCandidatesQuery(startedAt);
+      let searchAfter = null;
+
+      while (true) {
+        if (options.signal && options.signal.aborted) {
+          result.cancelled = true;
+          break;
+        }
+
+        const response = await this.opensearchService.client.search({
+          index: result.hotIndex,
+          body: {
+            size: batchSize,
+            _source: ['mongo_id', ...policy.fields()],
+            query,
+            sort: [{ mongo_id: 'asc' }],
+            ...(searchAfter ? { search_after: searchAfter } : {})
+          }
+        });
+
+        const hits = response.body.hits.hits;
+        if (hits.length === 0) {
+          break;
+        }
+        searchAfter = hits[hits.length - 1].sort;
+        result.checked += hits.length;
+
+        const ids = hits.filter(hit => policy.tierOf(hit._source || {}, startedAt) === 'warm').map(hit => hit._id);
+        if (options.dryRun) {
+          result.demoted += ids.length;
+        } else if (ids.length > 0) {
+          await this.moveToWarm(ids, result);
+        }
+
+        if (options.onProgress) {
+          options.onProgress({ checked: result.checked, demoted: result.demoted });
+        }
+        if (hits.length < batchSize) {
+          break;
+        }
+      }
+
+      result.duration = Date.now() - startedAt.getTime();
+      logger.info(`✅ Tier demotion ${result.dryRun ? '(dry run) ' : ''}checked ${result.checked} documents, ` +
+        `demoted ${result.demoted}`);
+      this.recordRun(result, startedAt);
+      return result;
+    } catch (error) {
+      logger.error('Tier demotion failed:', error);
+      this.stats.lastError = { message: error.message, at: new Date() };
+      throw error;
+    } finally {
+      this.demotionInProgress = false;
+    }
+  }
+
+  // Re-indexes the current MongoDB documents, which the tier policy now
+  // places in the warm index
+  async moveToWarm(ids, result) {
+    const documents = await this.mongodbService.findDocumentsByIds(ids, {
+      filter: this.syncService.scope.mongoFilter()
+    });
+    result.missingInMongo += ids.length - documents.length;
+    if (documents.length === 0) {
+      return;
+    }
+
+    const writeResult = await this.opensearchService.bulkIndex(documents);
+    result.errors += writeResult.errors || 0;
+    result.demoted += documents.length - (writeResult.errors || 0);
+  }
+
+  recordRun(result, startedAt) {
+    this.stats.runs++;
+    this.stats.documentsChecked += result.checked;
+    if (!result.dryRun) {
+      this.stats.documentsDemoted += result.demoted;
+    }
+    this.stats.lastRun = startedAt;
+    this.stats.lastResult = result;
+  }
+
+  // Documents per tier
+  async getTierCounts() {
+    const client = this.opensearchService.client;
+    const [hot, warm] = await Promise.all([
+      client.count({ index: this.opensearchService.tierIndex('hot') }),
+      client.count({ index: this.opensearchService.tierIndex('warm') })
+    ]);
+    return { hot: hot.body.count, warm: warm.body.count };
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      enabled: this.isEnabled(),
+      isRunning: this.isRunning,
+      demotionInProgress: this.demotionInProgress,
+      hotIndex: this.opensearchService.tierIndex('hot'),
+      warmIndex: this.isEnabled() ? this.opensearchService.tierIndex('warm') : null,
+      rules: this.isEnabled()
+        ? {
+          requireActive: this.opensearchService.tierPolicy.requireActive,
+          endDateGraceDays: this.opensearchService.tierPolicy.endDateGraceDays,
+          maxScrapeAgeDays: this.opensearchService.tierPolicy.maxScrapeAgeDays
+        }
+        : null
+    };
+  }
+}
+
+module.exports = TieringService;
@@ -0,0 +1,80 @@
+const { MetricsRegistry } = require('../metrics');
+
+describe('MetricsRegistry', () => {
+  it('renders counters and gauges per label set', async () => {
+    const registry = new MetricsRegistry();
+    const processed = registry.counter('sync_processed_total', 'Documents processed');
+    const depth = registry.gauge('sync_queue_depth', 'Queued changes');
+
+    processed.inc(1, { pipeline: 'ads' });
+    processed.inc(2, { pipeline: 'ads' });
+    processed.inc(1, { pipeline: 'pages' });
+    depth.set('7');
+    depth.dec(2);
+
+    expect(await registry.render()).toBe([
+      '# HELP sync_processed_total Documents processed',
+      '# TYPE sync_processed_total counter',
+      'sync_processed_total{pipeline="ads"} 3',
+      'sync_processed_total{pipeline="pages"} 1',
+      '# HELP sync_queue_depth Queued changes',
+      '# TYPE sync_queue_depth gauge',
+      'sync_queue_depth 5',
+      ''
+    ].join('\n'));
+  });
+
+  it('treats label sets with the same labels in another order as one series', () => {
+    const registry = new MetricsRegistry();
+    const counter = registry.counter('requests_total', 'Requests');
+
+    counter.inc(1, { pipeline: 'ads', status: 'ok' });
+    counter.inc(1, { status: 'ok', pipeline: 'ads' });
+
+    expect([...counter.values.values()].map(({ value }) => value)).toEqual([2]);
+  });
+
+  it('renders cumulative histogram buckets with their sum and count', async () => {
+    const registry = new MetricsRegistry();
+    const duration = registry.histogram('bulk_seconds', 'Bulk request duration', [1, 0.1]);
+
+    for (const value of [0.05, 0.5, 3]) {
+      duration.observe(value, { pipeline: 'ads' });
+    }
+
+    expect((await registry.render()).split('\n').slice(2, -1)).toEqual([
+      'bulk_seconds_bucket{pipeline="ads",le="0.1"} 1',
+      'bulk_seconds_bucket{pipeline="ads",le="1"} 2',
+      'bulk_seconds_bucket{pipeline="ads",le="+Inf"} 3',
+      'bulk_seconds_sum{pipeline="ads"} 3.55',
+      'bulk_seconds_count{pipeline="ads"} 3'
+    ]);
+  });
+
+  it('escapes label values and help text', async () => {
+    const registry = new MetricsRegistry();
+    registry.gauge('escaped', 'First line\nsecond \\ line').set(1, { path: 'a"b\\c\nd' });
+
+    expect((await registry.render()).split('\n').slice(0, 3)).toEqual([
+      '# HELP escaped First line\\nsecond \\\\ line',
+      '# TYPE escaped gauge',
+      'escaped{path="a\\"b\\\\c\\nd"} 1'
+    ]);
+  });
+
+  it('runs collectors before rendering', async () => {
+    const registry = new MetricsRegistry();
+    const gauge = registry.gauge('collected', 'Set at scrape time');
+    registry.addCollector(async () => gauge.set(42));
+
+    expect(await registry.render()).toContain('collected 42\n');
+  });
+
+  it('returns the registered metric for a repeated name and rejects another type', () => {
+    const registry = new MetricsRegistry();
+    const counter = registry.counter('shared_total', 'Shared');
+
+    expect(registry.counter('shared_total', 'Shared')).toBe(counter);
+    expect(() => registry.gauge('shared_total', 'Shared')).toThrow('Metric shared_total is already registered as a counter');
+  });
+});
@@ -0,0 +1,20 @@
+// Reads a date the way ads store them: a Date, an ISO string, or a Unix
+// timestamp in seconds (milliseconds when it is too large to be seconds).
+// Returns null for missing or unparseable values.
+function toDate(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  if (value instanceof Date) {
+    return Number.isNaN(value.getTime()) ? null : value;
+  }
+  if (typeof value === 'number') {
+    return new Date(value < 1e11 ? value * 1000 : value);
+  }
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+module.exports = {
+  toDate
+};
@@ -0,0 +1,193 @@
+// Minimal Prometheus metrics registry rendering the text exposition format
+// (https://prometheus.io/docs/instrumenting/exposition_formats/), so /metrics
+// needs no client library or push gateway.
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function escapeHelp(help) {
+  return String(help).replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) {
+    return '';
+  }
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) {
+    return '+Inf';
+  }
+  if (value === -Infinity) {
+    return '-Inf';
+  }
+  return Number.isNaN(value) ? 'NaN' : String(value);
+}
+
+// Samples are keyed by their serialized label set
+class Metric {
+  constructor(name, help, type) {
+    this.name = name;
+    this.help = help;
+    this.type = type;
+    this.values = new Map();
+  }
+
+  key(labels) {
+    return JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+  }
+
+  header() {
+    return [`# HELP ${this.name} ${escapeHelp(this.help)}`, `# TYPE ${this.name} ${this.type}`];
+  }
+
+  render() {
+    const lines = this.header();
+    for (const { labels, value } of this.values.values()) {
+      lines.push(`${this.name}${formatLabels(labels)} ${formatValue(value)}`);
+    }
+    return lines;
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help) {
+    super(name, help, 'counter');
+  }
+
+  inc(value = 1, labels = {}) {
+    const key = this.key(labels);
+    const current = this.values.get(key);
+    this.values.set(key, { labels, value: (current ? current.value : 0) + value });
+  }
+
+  // For totals counted elsewhere (e.g. service stats) and copied in at scrape time
+  set(value, labels = {}) {
+    this.values.set(this.key(labels), { labels, value });
+  }
+}
+
+class Gauge extends Metric {
+  constructor(name, help) {
+    super(name, help, 'gauge');
+  }
+
+  set(value, labels = {}) {
+    this.values.set(this.key(labels), { labels, value: Number(value) || 0 });
+  }
+
+  inc(value = 1, labels = {}) {
+    const key = this.key(labels);
+    const current = this.values.get(key);
+    this.values.set(key, { labels, value: (current ? current.value : 0) + value });
+  }
+
+  dec(value = 1, labels = {}) {
+    this.inc(-value, labels);
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, buckets) {
+    super(name, help, 'histogram');
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  observe(value, labels = {}) {
+    const key = this.key(labels);
+    let series = this.values.get(key);
+    if (!series) {
+      series = { labels, counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+      this.values.set(key, series);
+    }
+
+    this.buckets.forEach((bound, position) => {
+      if (value <= bound) {
+        series.counts[position]++;
+      }
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  // Times an async function and records its duration in seconds
+  async time(fn, labels = {}) {
+    const start = process.hrtime.bigint();
+    try {
+      return await fn();
+    } finally {
+      this.observe(Number(process.hrtime.bigint() - start) / 1e9, labels);
+    }
+  }
+
+  render() {
+    const lines = this.header();
+    for (const series of this.values.values()) {
+      this.buckets.forEach((bound, position) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: formatValue(bound) })} ${series.counts[position]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+      lines.push(`${this.name}_sum${formatLabels(series.labels)} ${formatValue(series.sum)}`);
+      lines.push(`${this.name}_count${formatLabels(series.labels)} ${series.count}`);
+    }
+    return lines;
+  }
+}
+
+class MetricsRegistry {
+  constructor() {
+    this.metrics = new Map();
+    this.collectors = [];
+  }
+
+  // Registering an existing name returns the metric already registered
+  register(metric) {
+    const existing = this.metrics.get(metric.name);
+    if (existing) {
+      if (existing.type !== metric.type) {
+        throw new Error(`Metric ${metric.name} is already registered as a ${existing.type}`);
+      }
+      return existing;
+    }
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  counter(name, help) {
+    return this.register(new Counter(name, help));
+  }
+
+  gauge(name, help) {
+    return this.register(new Gauge(name, help));
+  }
+
+  histogram(name, help, buckets) {
+    return this.register(new Histogram(name, help, buckets));
+  }
+
+  // Collectors run before every render to copy current values into metrics
+  addCollector(collector) {
+    this.collectors.push(collector);
+  }
+
+  async render() {
+    for (const collector of this.collectors) {
+      await collector();
+    }
+
+    const lines = [];
+    for (const metric of this.metrics.values()) {
+      lines.push(...metric.render());
+    }
+    return `${lines.join('\n')}\n`;
+  }
+}
+
+const metrics = new MetricsRegistry();
+metrics.MetricsRegistry = MetricsRegistry;
+
+module.exports = metrics;
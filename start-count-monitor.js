@@ -1,18 +1,42 @@
 #!/usr/bin/env node
 
-const documentCountMonitor = require('./src/services/documentCountMonitor');
+const config = require('./src/config');
+const { loadPipelines } = require('./src/config/pipelines');
+const SyncService = require('./src/services/syncService');
+const ReconciliationService = require('./src/services/reconciliationService');
+const DocumentCountMonitor = require('./src/services/documentCountMonitor');
 const logger = require('./src/utils/logger');
 
+// The count monitor checks the primary pipeline
+const syncService = new SyncService(loadPipelines()[0]);
+const documentCountMonitor = new DocumentCountMonitor(
+  syncService.mongodbService,
+  syncService.opensearchService,
+  syncService,
+  null,
+  new ReconciliationService(syncService.mongodbService, syncService.opensearchService, {
+    catchUpFields: syncService.pipeline.sync.catchUpFields,
+    syncScope: syncService.scope,
+    checkpointStore: syncService.checkpointStore,
+    deadLetterQueue: syncService.deadLetterQueue
+  })
+);
+
 async function startDocumentCountMonitor() {
   try {
     logger.info('🚀 Starting Document Count Monitor as background process...');
-    
+
+    // Connects to MongoDB/OpenSearch; the change stream is not started here
+    await syncService.initialize();
+
+    documentCountMonitor.setAutoSyncEnabled(config.countMonitor.autoSyncEnabled);
+    documentCountMonitor.setAutoSyncThreshold(config.countMonitor.autoSyncThreshold);
     await documentCountMonitor.startMonitoring();
-    
+
     logger.info('✅ Document Count Monitor is now running in the background');
-    logger.info('📊 Monitoring MongoDB vs OpenSearch document counts every 5 hours');
+    logger.info(`📊 Monitoring MongoDB vs OpenSearch document counts every ${config.countMonitor.checkIntervalMs / 60000} minutes`);
     logger.info('📝 Check logs for count verification results');
-    
+
     // Keep the process alive
     setInterval(() => {
       const stats = documentCountMonitor.getStats();
@@ -24,13 +48,30 @@ async function startDocumentCountMonitor() {
         isRunning: stats.isRunning
       });
     }, 60 * 60 * 1000); // Log stats every hour
-    
+
   } catch (error) {
     logger.error('❌ Failed to start Document Count Monitor:', error);
     process.exit(1);
   }
 }
 
+async function shutdown(signal) {
+  logger.info(`Received ${signal}, stopping document count monitor...`);
+
+  try {
+    await documentCountMonitor.stopMonitoring();
+    await syncService.bulkProcessor.flush();
+    await syncService.mongodbService.disconnect();
+    process.exit(0);
+  } catch (error) {
+    logger.error('Error while stopping document count monitor:', error);
+    process.exit(1);
+  }
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
 // Handle uncaught exceptions
 process.on('uncaughtException', (error) => {
   logger.error('Uncaught Exception in Document Count Monitor:', error);
@@ -44,4 +85,3 @@ process.on('unhandledRejection', (reason, promise) => {
 
 // Start the monitor
 startDocumentCountMonitor();
-
@@ -6,6 +6,11 @@ const config = require('./src/config');
 
 const BASE_URL = 'http://localhost:3000/api';
 
+// Starting the sync needs an operator key when authentication is enabled
+if (process.env.API_KEY) {
+  axios.defaults.headers.common.Authorization = `Bearer ${process.env.API_KEY}`;
+}
+
 async function testMongoDBSync() {
   console.log('🧪 Testing MongoDB to OpenSearch Sync...\n');
 
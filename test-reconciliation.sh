@@ -7,6 +7,8 @@ RED='\033[0;31m'
 NC='\033[0m' # No Color
 
 BASE_URL="http://localhost:3000"
+# Set API_KEY to an operator key if the server requires authentication
+AUTH_HEADER="Authorization: Bearer ${API_KEY}"
 
 echo -e "${YELLOW}========================================${NC}"
 echo -e "${YELLOW}Reconciliation Service Test Script${NC}"
@@ -23,13 +25,25 @@ fi
 
 # Test 2: Get reconciliation status
 echo -e "${YELLOW}Test 2: Getting reconciliation service status...${NC}"
-STATUS=$(curl -s "${BASE_URL}/api/reconciliation/status")
+STATUS=$(curl -s -H "$AUTH_HEADER" "${BASE_URL}/api/reconciliation/status")
 echo "$STATUS" | jq .
 echo ""
 
 # Test 3: Trigger manual reconciliation check
 echo -e "${YELLOW}Test 3: Triggering manual reconciliation check...${NC}"
-CHECK_RESULT=$(curl -s -X POST "${BASE_URL}/api/reconciliation/check")
+JOB=$(curl -s -X POST -H "$AUTH_HEADER" "${BASE_URL}/api/reconciliation/check")
+echo "$JOB" | jq .
+JOB_ID=$(echo "$JOB" | jq -r '.jobId')
+
+# Wait for the reconciliation job to finish
+JOB_STATUS="running"
+while [ "$JOB_STATUS" = "running" ]; do
+  sleep 2
+  JOB_STATE=$(curl -s -H "$AUTH_HEADER" "${BASE_URL}/api/jobs/${JOB_ID}")
+  JOB_STATUS=$(echo "$JOB_STATE" | jq -r '.status')
+done
+
+CHECK_RESULT=$(echo "$JOB_STATE" | jq '.result')
 echo "$CHECK_RESULT" | jq .
 
 # Parse result
@@ -58,7 +72,7 @@ echo ""
 
 # Test 4: Get updated status
 echo -e "${YELLOW}Test 4: Getting updated status after check...${NC}"
-UPDATED_STATUS=$(curl -s "${BASE_URL}/api/reconciliation/status")
+UPDATED_STATUS=$(curl -s -H "$AUTH_HEADER" "${BASE_URL}/api/reconciliation/status")
 echo "$UPDATED_STATUS" | jq .
 
 echo ""
@@ -4,6 +4,11 @@ const axios = require('axios');
 
 const BASE_URL = 'http://localhost:3000/api';
 
+// API_KEY must be an operator key if the server requires authentication
+if (process.env.API_KEY) {
+  axios.defaults.headers.common.Authorization = `Bearer ${process.env.API_KEY}`;
+}
+
 async function testSync() {
   console.log('🧪 Testing Facebook Ads Sync Service...\n');
 